@@ -0,0 +1,187 @@
+/** @babel */
+
+import zlib from 'zlib'
+
+const BLOCK_SIZE = 512
+
+let crcTable
+
+function crc32 (data) {
+  if (!crcTable) {
+    crcTable = []
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable.push(c >>> 0)
+    }
+  }
+
+  let crc = 0xFFFFFFFF
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// Writes the small archives needed for submissions, either as a gzipped tar
+// file or as a zip file, without depending on external tools. Names always use
+// `/` as the separator.
+export default class ArchiveWriter {
+  entries = []
+
+  constructor (format) {
+    this.format = format
+  }
+
+  addFile (name, data, mtime = new Date()) {
+    this.entries.push({ name, data: Buffer.from(data), mtime })
+  }
+
+  toBuffer () {
+    return this.format === 'zip' ? this.createZip() : zlib.gzipSync(this.createTar())
+  }
+
+  createTar () {
+    const blocks = []
+
+    const addEntry = (header, data) => {
+      blocks.push(header, data)
+      const padding = (BLOCK_SIZE - data.length % BLOCK_SIZE) % BLOCK_SIZE
+      if (padding > 0) blocks.push(Buffer.alloc(padding))
+    }
+
+    for (const { name, data, mtime } of this.entries) {
+      const split = this.splitTarName(name)
+      if (split) {
+        addEntry(this.createTarHeader(split.name, split.prefix, data.length, mtime), data)
+      } else {
+        // Names that do not fit into a ustar header are given by a pax
+        // extended header that precedes the entry.
+        const extendedHeader = this.createPaxRecord('path', name)
+        addEntry(this.createTarHeader('PaxHeader', '', extendedHeader.length, mtime, 'x'), extendedHeader)
+        addEntry(this.createTarHeader(this.truncateName(name), '', data.length, mtime), data)
+      }
+    }
+
+    // The end of the archive is marked by two empty blocks.
+    blocks.push(Buffer.alloc(2 * BLOCK_SIZE))
+
+    return Buffer.concat(blocks)
+  }
+
+  // Names longer than 100 bytes are split into a prefix of at most 155 bytes
+  // and a name at a directory separator. Returns null if there is no such
+  // separator.
+  splitTarName (name) {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' }
+
+    for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+      const prefix = name.slice(0, index)
+      const rest = name.slice(index + 1)
+      if (Buffer.byteLength(prefix) <= 155 && rest && Buffer.byteLength(rest) <= 100) {
+        return { name: rest, prefix }
+      }
+    }
+
+    return null
+  }
+
+  // A pax record has the form `<length> <key>=<value>\n`, where the length
+  // includes the digits of the length itself.
+  createPaxRecord (key, value) {
+    const record = ` ${key}=${value}\n`
+    let length = Buffer.byteLength(record)
+    while (Buffer.byteLength(`${length}${record}`) !== length) {
+      length = Buffer.byteLength(`${length}${record}`)
+    }
+    return Buffer.from(`${length}${record}`)
+  }
+
+  // The name of a ustar header for readers without pax support, cut at a
+  // character boundary.
+  truncateName (name) {
+    while (Buffer.byteLength(name) > 100) name = name.slice(0, -1)
+    return name
+  }
+
+  createTarHeader (name, prefix, size, mtime, type = '0') {
+    const header = Buffer.alloc(BLOCK_SIZE)
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0'
+
+    header.write(name, 0, 100)
+    header.write(octal(0o644, 8), 100)
+    header.write(octal(0, 8), 108)
+    header.write(octal(0, 8), 116)
+    header.write(octal(size, 12), 124)
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136)
+    header.write('        ', 148)
+    header.write(type, 156)
+    header.write('ustar\0', 257)
+    header.write('00', 263)
+    header.write(prefix, 345, 155)
+
+    let checksum = 0
+    for (const byte of header) checksum += byte
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148)
+
+    return header
+  }
+
+  createZip () {
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+
+    for (const { name, data, mtime } of this.entries) {
+      const nameBuffer = Buffer.from(name)
+      const compressed = zlib.deflateRawSync(data)
+      const crc = crc32(data)
+      const time = (mtime.getHours() << 11) | (mtime.getMinutes() << 5) | Math.floor(mtime.getSeconds() / 2)
+      const date = ((mtime.getFullYear() - 1980) << 9) | ((mtime.getMonth() + 1) << 5) | mtime.getDate()
+
+      const local = Buffer.alloc(30)
+      local.writeUInt32LE(0x04034b50, 0)
+      local.writeUInt16LE(20, 4)
+      // Names are encoded as UTF-8.
+      local.writeUInt16LE(0x0800, 6)
+      local.writeUInt16LE(8, 8)
+      local.writeUInt16LE(time, 10)
+      local.writeUInt16LE(date, 12)
+      local.writeUInt32LE(crc, 14)
+      local.writeUInt32LE(compressed.length, 18)
+      local.writeUInt32LE(data.length, 22)
+      local.writeUInt16LE(nameBuffer.length, 26)
+      local.writeUInt16LE(0, 28)
+
+      const central = Buffer.alloc(46)
+      central.writeUInt32LE(0x02014b50, 0)
+      central.writeUInt16LE(20, 4)
+      central.writeUInt16LE(20, 6)
+      central.writeUInt16LE(0x0800, 8)
+      central.writeUInt16LE(8, 10)
+      central.writeUInt16LE(time, 12)
+      central.writeUInt16LE(date, 14)
+      central.writeUInt32LE(crc, 16)
+      central.writeUInt32LE(compressed.length, 20)
+      central.writeUInt32LE(data.length, 24)
+      central.writeUInt16LE(nameBuffer.length, 28)
+      central.writeUInt32LE(offset, 42)
+
+      localParts.push(local, nameBuffer, compressed)
+      centralParts.push(central, nameBuffer)
+      offset += local.length + nameBuffer.length + compressed.length
+    }
+
+    const centralDirectory = Buffer.concat(centralParts)
+    const end = Buffer.alloc(22)
+    end.writeUInt32LE(0x06054b50, 0)
+    end.writeUInt16LE(this.entries.length, 8)
+    end.writeUInt16LE(this.entries.length, 10)
+    end.writeUInt32LE(centralDirectory.length, 12)
+    end.writeUInt32LE(offset, 16)
+
+    return Buffer.concat(localParts.concat([centralDirectory, end]))
+  }
+}
@@ -0,0 +1,112 @@
+/** @babel */
+
+import _ from 'lodash'
+import { CompositeDisposable, Disposable, Emitter } from 'atom'
+
+// Messages are considered the same in different builds if they have the same
+// type, text and source file. The line number is ignored since it changes
+// whenever lines are added or removed above the message.
+function getMessageKey (message) {
+  return [message.type, message.text, message.filePath || ''].join('\n')
+}
+
+export default class BuildHistory extends Disposable {
+  disposables = new CompositeDisposable()
+  emitter = new Emitter()
+  entries = []
+  nextId = 1
+
+  constructor () {
+    super(() => this.disposables.dispose())
+    this.disposables.add(this.emitter)
+    this.disposables.add(atom.config.onDidChange('latex.buildHistorySize', () => {
+      this.trim()
+      this.emitter.emit('did-update')
+    }))
+  }
+
+  onDidUpdate (callback) {
+    return this.emitter.on('did-update', callback)
+  }
+
+  startBuild (state, builderName) {
+    const entry = {
+      id: this.nextId++,
+      filePath: state.getFilePath(),
+      startTime: Date.now(),
+      builder: builderName,
+      engine: state.getEngine(),
+      jobNames: state.getJobNames().filter(jobName => jobName)
+    }
+
+    this.entries.push(entry)
+    this.trim()
+    this.emitter.emit('did-update')
+
+    return entry
+  }
+
+  finishBuild (entry, statusCode, messages) {
+    entry.endTime = Date.now()
+    entry.statusCode = statusCode
+    entry.messages = messages.map(message => Object.assign({}, message))
+    this.emitter.emit('did-update')
+  }
+
+  getEntries () {
+    return this.entries
+  }
+
+  getEntry (id) {
+    return this.entries.find(entry => entry.id === id)
+  }
+
+  trim () {
+    const size = atom.config.get('latex.buildHistorySize')
+    if (this.entries.length > size) {
+      this.entries = this.entries.slice(-size)
+    }
+  }
+
+  clear () {
+    this.entries = []
+    this.emitter.emit('did-update')
+  }
+
+  // Compare the messages of two builds. Messages that occur more than once are
+  // matched up one by one so a repeated warning is reported as added if it
+  // occurs more often in the newer build.
+  diff (oldEntry, newEntry) {
+    const remaining = _.groupBy(oldEntry.messages || [], getMessageKey)
+    const added = []
+    const unchanged = []
+
+    for (const message of newEntry.messages || []) {
+      const matches = remaining[getMessageKey(message)]
+      if (matches && matches.length > 0) {
+        matches.shift()
+        unchanged.push(message)
+      } else {
+        added.push(message)
+      }
+    }
+
+    const removed = (oldEntry.messages || []).filter(message => {
+      const matches = remaining[getMessageKey(message)]
+      return matches && matches.includes(message)
+    })
+
+    return { added, removed, unchanged }
+  }
+
+  serialize () {
+    return this.entries.filter(entry => entry.endTime)
+  }
+
+  deserialize (entries) {
+    this.entries = entries
+    this.nextId = Math.max(0, ...entries.map(entry => entry.id)) + 1
+    this.trim()
+    this.emitter.emit('did-update')
+  }
+}
@@ -0,0 +1,89 @@
+/** @babel */
+
+import { Disposable } from 'atom'
+
+// Builds are queued per root file. There is at most one running and one
+// pending build for each root file, while builds of different root files run
+// in parallel.
+export default class BuildQueue extends Disposable {
+  builds = new Map()
+
+  constructor () {
+    super(() => this.clear())
+  }
+
+  // Request a build of a root file. The task is started after delay
+  // milliseconds. Requests made while waiting replace the task and restart the
+  // delay so that only the most recent request is built. If a build of the
+  // same root file is running it is killed before the task is started.
+  enqueue (key, task, delay = 0) {
+    const build = this.getBuild(key)
+
+    if (build.pending) {
+      build.pending.task = task
+    } else {
+      const pending = build.pending = { task }
+      pending.promise = new Promise(resolve => { pending.resolve = resolve })
+    }
+
+    const pending = build.pending
+    if (!pending.started) {
+      clearTimeout(pending.timer)
+      if (delay > 0) {
+        pending.timer = setTimeout(() => this.start(key, build), delay)
+      } else {
+        this.start(key, build)
+      }
+    }
+
+    return pending.promise
+  }
+
+  async start (key, build) {
+    const pending = build.pending
+    pending.started = true
+
+    if (build.running) {
+      latex.process.killChildProcesses(key)
+      await build.running
+    }
+
+    build.pending = null
+    const running = build.running = (async () => pending.task())()
+      .catch(error => latex.log.error(error.message))
+    const result = await running
+
+    if (build.running === running) build.running = null
+    if (!build.running && !build.pending) this.builds.delete(key)
+
+    pending.resolve(result)
+  }
+
+  getBuild (key) {
+    let build = this.builds.get(key)
+    if (!build) {
+      build = {}
+      this.builds.set(key, build)
+    }
+    return build
+  }
+
+  isBuilding (key) {
+    const build = this.builds.get(key)
+    return !!(build && build.running)
+  }
+
+  hasOtherBuilds (key) {
+    return Array.from(this.builds.entries()).some(([otherKey, build]) => otherKey !== key && build.running)
+  }
+
+  clear () {
+    for (const build of this.builds.values()) {
+      if (build.pending && !build.pending.started) {
+        clearTimeout(build.pending.timer)
+        build.pending.resolve(false)
+      }
+    }
+    this.builds.clear()
+  }
+}
@@ -1,20 +1,51 @@
 /** @babel */
 
+import _ from 'lodash'
 import path from 'path'
 import { isTexFile, isKnitrFile } from './werkzeug'
 
 function toArray (value) {
-  return (typeof value === 'string') ? value.split(',').map(item => item.trim()) : Array.from(value)
+  if (typeof value === 'string') return value.split(',').map(item => item.trim())
+  // A single job may be given as a mapping instead of a list.
+  if (_.isPlainObject(value)) return [value]
+  return Array.from(value)
 }
 
 function toBoolean (value) {
   return (typeof value === 'string') ? !!value.match(/^(true|yes)$/i) : !!value
 }
 
+// Settings that can be overridden for a single job. Alternative names are
+// accepted for compatibility with the build state properties.
+const JOB_SETTINGS = {
+  engine: ['engine', 'program'],
+  outputFormat: ['outputFormat', 'format'],
+  outputDirectory: ['outputDirectory', 'output_directory'],
+  producer: ['producer']
+}
+
 class JobState {
-  constructor (parent, jobName) {
+  constructor (parent, jobName, settings = {}) {
     this.parent = parent
     this.jobName = jobName
+    this.overrides = {}
+
+    for (const [name, aliases] of Object.entries(JOB_SETTINGS)) {
+      const alias = aliases.find(alias => settings[alias] !== undefined && settings[alias] !== null)
+      if (alias) this.overrides[name] = settings[alias]
+    }
+  }
+
+  getOverrides () {
+    return this.overrides
+  }
+
+  getOverride (name, defaultValue) {
+    return (name in this.overrides) ? this.overrides[name] : defaultValue
+  }
+
+  setOverride (name, value) {
+    this.overrides[name] = value
   }
 
   getOutputFilePath () {
@@ -45,6 +76,10 @@ class JobState {
     return this.jobName
   }
 
+  setJobName (value) {
+    this.jobName = value
+  }
+
   getFilePath () {
     return this.parent.getFilePath()
   }
@@ -89,8 +124,12 @@ class JobState {
     return this.parent.getOpenResultAfterBuild()
   }
 
+  getBuilder () {
+    return this.parent.getBuilder()
+  }
+
   getEngine () {
-    return this.parent.getEngine()
+    return this.getOverride('engine', this.parent.getEngine())
   }
 
   getMoveResultToSourceDirectory () {
@@ -98,20 +137,34 @@ class JobState {
   }
 
   getOutputDirectory () {
-    return this.parent.getOutputDirectory()
+    return this.getOverride('outputDirectory', this.parent.getOutputDirectory())
   }
 
   getOutputFormat () {
-    return this.parent.getOutputFormat()
+    return this.getOverride('outputFormat', this.parent.getOutputFormat())
   }
 
   getProducer () {
-    return this.parent.getProducer()
+    return this.getOverride('producer', this.parent.getProducer())
+  }
+
+  getPreTex () {
+    return this.parent.getPreTex()
+  }
+
+  getEnvironment () {
+    return this.parent.getEnvironment()
   }
 
   getShouldRebuild () {
     return this.parent.getShouldRebuild()
   }
+
+  // A builder that is chosen for a job while it is built, i.e. the LaTeX
+  // builder of a knitr build, does not replace the builder of the build.
+  setBuilderMessages (value) {
+    this.builderMessages = value
+  }
 }
 
 export default class BuildState {
@@ -124,6 +177,11 @@ export default class BuildState {
     this.setEnableExtendedBuildMode(false)
     this.setOpenResultAfterBuild(false)
     this.subfiles = new Set()
+    this.settingsMessages = []
+    this.builderMessages = []
+    this.settingSources = new Map()
+    this.profiles = {}
+    this.environment = {}
   }
 
   getKnitrFilePath () {
@@ -190,6 +248,14 @@ export default class BuildState {
     this.openResultAfterBuild = toBoolean(value)
   }
 
+  getBuilder () {
+    return this.builder
+  }
+
+  setBuilder (value) {
+    this.builder = value
+  }
+
   getEngine () {
     return this.engine
   }
@@ -238,6 +304,34 @@ export default class BuildState {
     this.producer = value
   }
 
+  getPreTex () {
+    return this.preTex
+  }
+
+  setPreTex (value) {
+    this.preTex = value
+  }
+
+  // Environment variables of the builder processes, in the order in which they
+  // are set. A list value is a path list to prepend to the variable.
+  getEnvironment () {
+    return this.environment
+  }
+
+  setEnvironment (value) {
+    this.environment = value
+  }
+
+  // Profiles are kept by name so that profiles from settings files replace the
+  // profiles of the same name from the package config.
+  getProfiles () {
+    return this.profiles
+  }
+
+  setProfiles (value) {
+    this.profiles = value
+  }
+
   getSubfiles () {
     return Array.from(this.subfiles.values())
   }
@@ -250,6 +344,34 @@ export default class BuildState {
     return this.subfiles.has(value)
   }
 
+  getSettingsMessages () {
+    return this.settingsMessages
+  }
+
+  setSettingsMessages (value) {
+    this.settingsMessages = value
+  }
+
+  // Messages that explain why the builder was chosen. They are only reported
+  // for builds and not for the other commands that choose a builder.
+  getBuilderMessages () {
+    return this.builderMessages
+  }
+
+  setBuilderMessages (value) {
+    this.builderMessages = value
+  }
+
+  // The source of a setting describes where its value came from, i.e. the
+  // package config, a magic comment or a settings file.
+  getSettingSource (name) {
+    return this.settingSources.get(name)
+  }
+
+  setSettingSource (name, value) {
+    this.settingSources.set(name, value)
+  }
+
   getShouldRebuild () {
     return this.shouldRebuild
   }
@@ -276,4 +398,12 @@ export default class BuildState {
   setJobNames (value) {
     this.jobStates = toArray(value).map(jobName => new JobState(this, jobName))
   }
+
+  // Jobs are either job names or objects with a name and the settings that
+  // differ from the build state, i.e. `{ name: 'print', engine: 'lualatex' }`.
+  setJobs (value) {
+    this.jobStates = toArray(value).map(job => _.isPlainObject(job)
+      ? new JobState(this, job.name, job)
+      : new JobState(this, job))
+  }
 }
@@ -1,19 +1,68 @@
 /** @babel */
 
+import _ from 'lodash'
 import fs from 'fs-plus'
 import path from 'path'
+import { Disposable } from 'atom'
 
 export default class BuilderRegistry {
+  registeredBuilders = new Map()
+
+  registerBuilder (name, BuilderImpl) {
+    if (this.getBuilders().has(name)) {
+      throw new Error(`A builder named "${name}" is already registered.`)
+    }
+
+    this.registeredBuilders.set(name, BuilderImpl)
+
+    return new Disposable(() => {
+      if (this.registeredBuilders.get(name) === BuilderImpl) {
+        this.registeredBuilders.delete(name)
+      }
+    })
+  }
+
   getBuilderImplementation (state) {
-    const builders = this.getAllBuilders()
-    const candidates = builders.filter(builder => builder.canProcess(state))
-    switch (candidates.length) {
-      case 0: return null
-      case 1: return candidates[0]
+    const builders = this.getBuilders()
+    const candidates = Array.from(builders.entries())
+      .filter(([name, builder]) => builder.canProcess(state))
+    if (candidates.length === 0) return null
+
+    const messages = []
+    const requestedName = state.getBuilder()
+    if (requestedName) {
+      const requested = candidates.find(([name]) => name === requestedName)
+      if (requested) {
+        state.setBuilderMessages([{ type: 'info', text: `Using the ${requestedName} builder since it was explicitly requested.` }])
+        return requested[1]
+      }
+
+      const reason = builders.has(requestedName)
+        ? `it cannot process ${state.getFilePath()}`
+        : 'no builder with that name is registered'
+      messages.push({ type: 'info', text: `Ignoring the requested ${requestedName} builder since ${reason}.` })
     }
 
-    // This should never happen...
-    throw new Error('Ambiguous builder registration.')
+    // Sort by name also so that builders with equal priority are always
+    // selected in the same order.
+    const [[name, builder]] = _.orderBy(candidates,
+      [([name, builder]) => builder.priority || 0, ([name]) => name],
+      ['desc', 'asc'])
+
+    if (candidates.length === 1) {
+      messages.push({ type: 'info', text: `Using the ${name} builder since it is the only builder that can process ${state.getFilePath()}.` })
+    } else {
+      messages.push({ type: 'info', text: `Using the ${name} builder since it has the highest priority (${builder.priority || 0}) of ${candidates.map(([name]) => name).join(', ')}.` })
+    }
+
+    state.setBuilderMessages(messages)
+    return builder
+  }
+
+  getBuilderName (builder) {
+    for (const [name, BuilderImpl] of this.getBuilders().entries()) {
+      if (builder.constructor === BuilderImpl) return name
+    }
   }
 
   getBuilder (state) {
@@ -30,9 +79,21 @@ export default class BuilderRegistry {
   }
 
   getAllBuilders () {
+    return Array.from(this.getBuilders().values())
+  }
+
+  getBuilders () {
     const moduleDir = this.getModuleDirPath()
     const entries = fs.readdirSync(moduleDir)
-    const builders = entries.map(entry => require(path.join(moduleDir, entry)))
+    const builders = new Map()
+
+    for (const entry of entries) {
+      builders.set(path.basename(entry, '.js'), require(path.join(moduleDir, entry)))
+    }
+
+    for (const [name, BuilderImpl] of this.registeredBuilders.entries()) {
+      builders.set(name, BuilderImpl)
+    }
 
     return builders
   }
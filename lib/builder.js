@@ -1,23 +1,38 @@
 /** @babel */
 
+import crypto from 'crypto'
 import fs from 'fs-plus'
 import path from 'path'
+import _ from 'lodash'
 import LogParser from './parsers/log-parser'
 import FdbParser from './parsers/fdb-parser'
+import BlgParser from './parsers/blg-parser'
+import IndexLogParser from './parsers/index-log-parser'
+import OutputParser from './parsers/output-parser'
+import ExecutionBackend from './execution-backend'
 import { heredoc, isPdfFile, isPsFile, isDviFile } from './werkzeug.js'
 
+// Transcripts of makeindex, xindy and makeglossaries including the custom
+// index rules in resources/latexmkrc.
+const INDEX_LOG_EXTENSIONS = ['.ilg', '.glg', '.nlg', '.alg', '.llg', '.tlg']
+const INDEX_LOG_PATTERN = /\.(?:ilg|glg|nlg|alg|llg|tlg)$/i
+
 export default class Builder {
   envPathKey = this.getEnvironmentPathKey(process.platform)
 
+  // The builder with the highest priority is used when more than one builder
+  // can process a file and no builder was explicitly requested.
+  static priority = 0
+
   static canProcess (state) {}
   async run (jobState) {}
   constructArgs (jobState) {}
   async checkRuntimeDependencies () {}
 
-  logStatusCode (statusCode, stderr) {
+  logStatusCode (statusCode, stderr, jobState) {
     switch (statusCode) {
       case 127:
-        latex.log.error(heredoc(`
+        this.logError(jobState, heredoc(`
           TeXification failed! Builder executable '${this.executable}' not found.
             latex.texPath
               as configured: ${atom.config.get('latex.texPath')}
@@ -30,44 +45,195 @@ export default class Builder {
         break
       default:
         const errorOutput = stderr ? ` and output of "${stderr}"` : ''
-        latex.log.error(`TeXification failed with status code ${statusCode}${errorOutput}`)
+        this.logError(jobState, `TeXification failed with status code ${statusCode}${errorOutput}`)
     }
   }
 
+  // Errors of a build are tagged with its root file so that they are only
+  // replaced by the next build of the same root file.
+  logError (jobState, text) {
+    latex.log.showMessages([{ type: 'error', text }], jobState && jobState.getFilePath())
+  }
+
   parseLogFile (jobState) {
     const logFilePath = this.resolveLogFilePath(jobState)
+    // The messages of a previous parse must not be kept when the log file is
+    // gone, since the messages of other logs would be added to them again.
+    jobState.setLogMessages(undefined)
     if (fs.existsSync(logFilePath)) {
       let filePath = jobState.getTexFilePath()
       // Use main source path if the generated LaTeX file is missing. This will
       // enable log parsing and finding the project root to continue without the
       // generated LaTeX file.
       if (!filePath) filePath = jobState.getFilePath()
-      const parser = this.getLogParser(logFilePath, filePath)
+      const parser = this.getLogParser(logFilePath, filePath, this.getMaxPrintLine(jobState))
       const result = parser.parse()
       if (result) {
+        const backend = this.getExecutionBackend(jobState)
         if (result.messages) {
-          jobState.setLogMessages(result.messages)
+          jobState.setLogMessages(this.toHostMessages(backend, result.messages))
         }
         if (result.outputFilePath) {
-          jobState.setOutputFilePath(result.outputFilePath)
+          jobState.setOutputFilePath(backend.toHostPath(result.outputFilePath))
+        }
+      }
+    }
+  }
+
+  getLogParser (logFilePath, texFilePath, maxPrintLine) {
+    return new LogParser(logFilePath, texFilePath, maxPrintLine)
+  }
+
+  getOutputParser (texFilePath, maxPrintLine) {
+    return new OutputParser(texFilePath, maxPrintLine)
+  }
+
+  // The environment that builds are run with unless the user overrides it.
+  getDefaultEnvironment () {
+    return {}
+  }
+
+  // The line length at which TeX wrapped the log, or undefined if TeX's
+  // default is used.
+  getMaxPrintLine (jobState) {
+    const { env } = this.constructChildProcessOptions(jobState.getProjectPath(), this.getDefaultEnvironment(), jobState)
+    return parseInt(env.max_print_line, 10) || undefined
+  }
+
+  // Report the messages found in the output of a running build so that they
+  // are visible before the build has finished. The messages are removed by
+  // finish since they are replaced by the messages of the log file.
+  createOutputReporter (jobState) {
+    const texFilePath = jobState.getTexFilePath() || jobState.getFilePath()
+    const backend = this.getExecutionBackend(jobState)
+    const maxPrintLine = this.getMaxPrintLine(jobState)
+    let parser = this.getOutputParser(texFilePath, maxPrintLine)
+    let messages = []
+
+    return {
+      append: text => {
+        const newMessages = parser.append(text)
+        if (newMessages.length > 0) {
+          messages.push(...latex.log.showMessages(this.toHostMessages(backend, newMessages), jobState.getFilePath()))
         }
+      },
+      finish: () => {
+        latex.log.removeMessages(messages)
+        messages = []
+        parser = this.getOutputParser(texFilePath, maxPrintLine)
       }
     }
   }
 
-  getLogParser (logFilePath, texFilePath) {
-    return new LogParser(logFilePath, texFilePath)
+  // Execute a build command while reporting the messages found in its output.
+  async executeAndParseOutput (jobState, command, options) {
+    const reporter = this.createOutputReporter(jobState)
+    const onOutput = (type, text) => {
+      if (type === 'stdout') reporter.append(text)
+    }
+
+    try {
+      return await this.executeChildProcess(command, Object.assign({}, options, { onOutput }), jobState)
+    } finally {
+      reporter.finish()
+    }
   }
 
-  constructChildProcessOptions (directoryPath, defaultEnv) {
+  // Execute a command of the builder, either directly or by the execution
+  // backend if one has been configured.
+  async executeChildProcess (command, options, jobState) {
+    const backend = this.getExecutionBackend(jobState, options.cwd)
+    let step = this.executable
+
+    if (backend.isEnabled()) {
+      // Only the variables set by the builder are passed since the environment
+      // of the host, including the TeX path, is meaningless to the backend.
+      const env = _.omit(_.pickBy(options.env, (value, name) => process.env[name] !== value), this.envPathKey)
+      command = backend.wrapCommand(command, options.cwd, env)
+    }
+
+    // Keep track of the step that is running so that it can be named if the
+    // process has to be killed.
+    if (options.onOutput) {
+      const { onOutput } = options
+      options = Object.assign({}, options, {
+        onOutput: (type, text) => {
+          step = this.getStep(text) || step
+          onOutput(type, text)
+        }
+      })
+    }
+
+    const result = await latex.process.executeChildProcess(command, options)
+
+    if (result.killedBy) {
+      this.logKilledProcess(step, result.killedBy, options, jobState)
+      result.statusCode = result.statusCode || -1
+    }
+
+    return result
+  }
+
+  // Find the name of the step that was started in the output of the builder.
+  getStep (text) {}
+
+  logKilledProcess (step, killedBy, { timeout, idleTimeout }, jobState) {
+    if (killedBy === 'idle') {
+      this.logError(jobState, `${step} was stopped since it did not produce any output for ${idleTimeout / 1000} seconds. It may be waiting for input.`)
+    } else {
+      this.logError(jobState, `${step} was stopped since the build did not finish within ${timeout / 1000} seconds.`)
+    }
+  }
+
+  getExecutionBackend (jobState, directoryPath) {
+    if (jobState) {
+      const [projectPath] = atom.project.relativizePath(jobState.getFilePath())
+      return new ExecutionBackend(projectPath || jobState.getProjectPath())
+    }
+
+    // Commands that are not part of a build, such as the checks of the runtime
+    // dependencies, only map the project that contains their directory.
+    const [projectPath] = atom.project.relativizePath(path.resolve(directoryPath || '.'))
+    return new ExecutionBackend(projectPath)
+  }
+
+  // Translate the paths reported by the backend into paths on the host so that
+  // messages can be linked to the files in the editor.
+  toHostMessages (backend, messages) {
+    if (!backend.isEnabled()) return messages
+
+    return messages.map(message => message.filePath
+      ? Object.assign({}, message, { filePath: backend.toHostPath(message.filePath) })
+      : message)
+  }
+
+  toHostFileDatabase (backend, fdb) {
+    if (!backend.isEnabled()) return fdb
+
+    return _.mapValues(fdb, section => _.mapValues(section, (value, group) => {
+      if (Array.isArray(value)) return value.map(filePath => backend.toHostPath(filePath))
+      if (group === 'files') return _.mapKeys(value, (details, filePath) => backend.toHostPath(filePath))
+      return value
+    }))
+  }
+
+  constructChildProcessOptions (directoryPath, defaultEnv, jobState) {
     const env = Object.assign(defaultEnv || {}, process.env)
     const childPath = this.constructPath()
     if (childPath) {
       env[this.envPathKey] = childPath
     }
 
+    this.applyEnvironment(env, jobState ? jobState.getEnvironment() : atom.config.get('latex.environment'))
+
     return {
       allowKill: true,
+      // Builds that hang, e.g. while waiting for input, are killed after the
+      // configured number of seconds.
+      timeout: atom.config.get('latex.buildTimeout') * 1000,
+      // Processes are grouped by root file so that only the build of the same
+      // project is killed when a new build is started.
+      processGroup: jobState ? jobState.getFilePath() : undefined,
       encoding: 'utf8',
       maxBuffer: 52428800, // Set process' max buffer size to 50 MB.
       cwd: directoryPath, // Run process with sensible CWD.
@@ -75,6 +241,26 @@ export default class Builder {
     }
   }
 
+  // Values may refer to variables as `$NAME` or `${NAME}`. Lists of paths are
+  // prepended to the current value of the variable and end with an empty entry
+  // so that TeX still searches its default paths.
+  applyEnvironment (env, environment) {
+    for (const [name, value] of Object.entries(environment || {})) {
+      if (Array.isArray(value)) {
+        env[name] = value
+          .map(item => this.expandVariables(String(item), env))
+          .concat([env[name] || ''])
+          .join(path.delimiter)
+      } else {
+        env[name] = this.expandVariables(String(value), env)
+      }
+    }
+  }
+
+  expandVariables (text, env) {
+    return text.replace(/\$(?:\{(\w+)\}|(\w+))/g, (match, bracedName, name) => env[bracedName || name] || '')
+  }
+
   constructPath () {
     let texPath = (atom.config.get('latex.texPath') || '').trim()
     if (texPath.length === 0) {
@@ -137,7 +323,7 @@ export default class Builder {
       const parser = this.getFdbParser(fdbFilePath)
       const result = parser.parse()
       if (result) {
-        jobState.setFileDatabase(result)
+        jobState.setFileDatabase(this.toHostFileDatabase(this.getExecutionBackend(jobState), result))
       }
     }
   }
@@ -146,9 +332,99 @@ export default class Builder {
     return new FdbParser(fdbFilePath)
   }
 
+  // Compare the source files recorded in the file database with the files on
+  // disk. Changes cannot be detected without a file database or if the root
+  // file is not one of its sources, e.g. for knitr files.
+  hasUnchangedSources (jobState) {
+    const fdb = jobState.getFileDatabase()
+    if (!fdb) return false
+
+    let hasRootFile = false
+
+    for (const section of _.values(fdb)) {
+      for (const [filePath, details] of Object.entries(section.files || {})) {
+        const resolvedPath = path.resolve(jobState.getProjectPath(), path.normalize(filePath))
+        if (resolvedPath === jobState.getFilePath()) hasRootFile = true
+        if (!this.isUnchangedFile(resolvedPath, details)) return false
+      }
+    }
+
+    return hasRootFile
+  }
+
+  // latexmk records missing files with a size of -1. The checksum is only
+  // computed if the size matches but the timestamp does not.
+  isUnchangedFile (filePath, { time, size, checksum }) {
+    if (!fs.existsSync(filePath)) return size === -1
+    if (size === -1) return false
+
+    const stats = fs.statSync(filePath)
+    if (stats.size !== size) return false
+    if (Math.floor(stats.mtime.getTime() / 1000) === Math.floor(time)) return true
+
+    return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex') === checksum
+  }
+
+  getFileDatabasePaths (jobState, group, pattern) {
+    const fdb = jobState.getFileDatabase()
+    if (!fdb) return []
+
+    const filePaths = _.flatten(_.map(fdb, section => section[group] || []))
+    return _.uniq(filePaths
+      .filter(filePath => pattern.test(filePath))
+      .map(filePath => path.resolve(jobState.getProjectPath(), path.normalize(filePath))))
+  }
+
+  parseGeneratedLogFiles (jobState, filePaths, createParser) {
+    const messages = jobState.getLogMessages()
+    if (!messages) return
+
+    // Messages of the tools run during the build are added to the messages of
+    // the LaTeX log so that they are reported together with LaTeX problems.
+    const texFilePath = jobState.getTexFilePath() || jobState.getFilePath()
+    const backend = this.getExecutionBackend(jobState)
+    const generatedMessages = []
+    for (const filePath of _.uniq(filePaths)) {
+      if (fs.existsSync(filePath)) {
+        const result = createParser(filePath, texFilePath).parse()
+        generatedMessages.push(...this.toHostMessages(backend, result.messages))
+      }
+    }
+
+    jobState.setLogMessages(messages.concat(generatedMessages))
+  }
+
+  parseBlgFiles (jobState) {
+    this.parseGeneratedLogFiles(jobState,
+      this.getFileDatabasePaths(jobState, 'generated', /\.blg$/i),
+      (filePath, texFilePath) => this.getBlgParser(filePath, texFilePath))
+  }
+
+  getBlgParser (blgFilePath, texFilePath) {
+    return new BlgParser(blgFilePath, texFilePath)
+  }
+
+  parseIndexLogFiles (jobState) {
+    // Index logs written by custom dependencies are not always recorded in
+    // the file database, so also look for the logs named after the job.
+    const filePaths = this.getFileDatabasePaths(jobState, 'generated', INDEX_LOG_PATTERN)
+      .concat(INDEX_LOG_EXTENSIONS.map(ext => this.resolveOutputFilePath(jobState, ext)))
+    const texFilePath = jobState.getTexFilePath() || jobState.getFilePath()
+    const sourcePaths = _.uniq([texFilePath].concat(this.getFileDatabasePaths(jobState, 'source', /\.tex$/i)))
+
+    this.parseGeneratedLogFiles(jobState, filePaths,
+      (filePath, texFilePath) => this.getIndexLogParser(filePath, texFilePath, sourcePaths))
+  }
+
+  getIndexLogParser (indexLogFilePath, texFilePath, sourcePaths) {
+    return new IndexLogParser(indexLogFilePath, texFilePath, sourcePaths)
+  }
+
   parseLogAndFdbFiles (jobState) {
     this.parseLogFile(jobState)
     this.parseFdbFile(jobState)
+    this.parseBlgFiles(jobState)
+    this.parseIndexLogFiles(jobState)
 
     const fdb = jobState.getFileDatabase()
     if (fdb) {
@@ -15,15 +15,17 @@ function escapePath (filePath) {
 export default class KnitrBuilder extends Builder {
   executable = 'Rscript'
 
+  static priority = 10
+
   static canProcess (state) {
     return !state.getTexFilePath() && !!state.getKnitrFilePath()
   }
 
   async run (jobState) {
     const args = this.constructArgs(jobState)
-    const { statusCode, stdout, stderr } = await this.execRscript(jobState.getProjectPath(), args, 'error')
+    const { statusCode, stdout, stderr } = await this.execRscript(jobState.getProjectPath(), args, 'error', jobState)
     if (statusCode !== 0) {
-      this.logStatusCode(statusCode, stderr)
+      this.logStatusCode(statusCode, stderr, jobState)
       return statusCode
     }
 
@@ -34,7 +36,7 @@ export default class KnitrBuilder extends Builder {
 
     if (code === 0 && jobState.getEnableSynctex()) {
       const args = this.constructPatchSynctexArgs(jobState)
-      await this.execRscript(jobState.getProjectPath(), args, 'warning')
+      await this.execRscript(jobState.getProjectPath(), args, 'warning', jobState)
     }
 
     return code
@@ -83,18 +85,18 @@ export default class KnitrBuilder extends Builder {
     latex.log.warning(`Rscript package ${packageName} was not found.`)
   }
 
-  async execRscript (directoryPath, args, type) {
+  async execRscript (directoryPath, args, type, jobState) {
     const command = `${this.executable} ${args.join(' ')}`
-    const options = this.constructChildProcessOptions(directoryPath)
+    const options = this.constructChildProcessOptions(directoryPath, undefined, jobState)
 
-    let { statusCode, stdout, stderr } = await latex.process.executeChildProcess(command, options)
+    let { statusCode, stdout, stderr } = await this.executeChildProcess(command, options, jobState)
 
     if (statusCode !== 0) {
       // Parse error message to detect missing libraries.
       let match
       while ((match = MISSING_PACKAGE_PATTERN.exec(stderr)) !== null) {
         const text = `The R package "${match[1]}" could not be loaded.`
-        latex.log.showMessages([{ type, text }])
+        latex.log.showMessages([{ type, text }], jobState && jobState.getFilePath())
         statusCode = -1
       }
     }
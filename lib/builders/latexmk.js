@@ -2,32 +2,99 @@
 
 import path from 'path'
 import Builder from '../builder'
+import { compareVersions } from '../werkzeug'
 
 const LATEX_PATTERN = /^latex|u?platex$/
 const LATEXMK_VERSION_PATTERN = /Version\s+(\S+)/i
 const LATEXMK_MINIMUM_VERSION = '4.37'
+// The -usepretex option was added in latexmk 4.61.
+const LATEXMK_PRETEX_VERSION = '4.61'
 const PDF_ENGINE_PATTERN = /^(xelatex|lualatex)$/
+// latexmk -pvc prints this line after each build cycle.
+const WATCHING_PATTERN = /^=== Watching for updated files/
+const CYCLE_ERROR_PATTERN = /^Latexmk: (?:Errors|.*failure)/i
+// The status code of latexmk when making some of the files failed, which is
+// also reported for a failed cycle of latexmk -pvc.
+const LATEXMK_FAILURE_STATUS = 12
+// latexmk announces each rule before running it.
+const RULE_PATTERN = /(?:Run number \d+ of|applying) rule '([^']+)'/g
 
 export default class LatexmkBuilder extends Builder {
   executable = 'latexmk'
 
+  static priority = 10
+
   static canProcess (state) {
     return !!state.getTexFilePath()
   }
 
   async run (jobState) {
+    await this.checkPreTexSupport(jobState)
     const args = this.constructArgs(jobState)
 
-    const { statusCode, stderr } = await this.execLatexmk(jobState.getProjectPath(), args, 'error')
+    const { statusCode, stderr } = await this.execLatexmk(jobState.getProjectPath(), args, 'error', jobState)
     if (statusCode !== 0) {
-      this.logStatusCode(statusCode, stderr)
+      this.logStatusCode(statusCode, stderr, jobState)
     }
 
     return statusCode
   }
 
-  async execLatexmk (directoryPath, args, type) {
-    const options = this.constructChildProcessOptions(directoryPath, { max_print_line: 1000 })
+  // Run latexmk -pvc, which rebuilds whenever a source file changes, until the
+  // process is killed. onCycle is called with a status code after each cycle.
+  async runContinuous (jobState, onCycle) {
+    await this.checkPreTexSupport(jobState)
+    const args = this.constructContinuousArgs(jobState)
+    const reporter = this.createOutputReporter(jobState)
+    // latexmk writes the rules it runs and its errors to stderr while TeX
+    // writes to stdout, so the lines of both streams are followed.
+    const partialLines = { stdout: '', stderr: '' }
+    let failed = false
+
+    const onOutput = (type, text) => {
+      const lines = ((partialLines[type] || '') + text).split('\n')
+      partialLines[type] = lines.pop()
+      let cycleText = ''
+
+      for (const outputLine of lines) {
+        if (WATCHING_PATTERN.test(outputLine)) {
+          reporter.append(cycleText)
+          reporter.finish()
+          onCycle(failed ? LATEXMK_FAILURE_STATUS : 0)
+          cycleText = ''
+          failed = false
+        } else {
+          if (CYCLE_ERROR_PATTERN.test(outputLine)) failed = true
+          // Only the output of TeX contains messages.
+          if (type === 'stdout') cycleText += outputLine + '\n'
+        }
+      }
+
+      reporter.append(cycleText)
+    }
+
+    try {
+      const { statusCode } = await this.execLatexmk(jobState.getProjectPath(), args, 'error', jobState, onOutput)
+      return statusCode
+    } finally {
+      reporter.finish()
+    }
+  }
+
+  // A long max_print_line keeps TeX from wrapping the lines of the log file.
+  getDefaultEnvironment () {
+    return { max_print_line: 1000 }
+  }
+
+  async execLatexmk (directoryPath, args, type, jobState, onOutput) {
+    const options = this.constructChildProcessOptions(directoryPath, this.getDefaultEnvironment(), jobState)
+
+    // The TeX code of a build profile is passed in the environment so that it
+    // is not part of the command line. An execution backend quotes it when it
+    // passes the variable on.
+    if (jobState && jobState.getPreTex()) {
+      options.env.LATEXMK_PRETEX = jobState.getPreTex()
+    }
 
     if (atom.config.get('latex.useRelativePaths') && options.cwd) {
       const absPath = args[args.length - 1].slice(1, -1)
@@ -37,7 +104,21 @@ export default class LatexmkBuilder extends Builder {
 
     const command = `${this.executable} ${args.join(' ')}`
 
-    return latex.process.executeChildProcess(command, options)
+    // Continuous builds wait for changes without any output so they are not
+    // stopped by the timeouts.
+    if (onOutput) {
+      return this.executeChildProcess(command, Object.assign(options, { onOutput, timeout: 0, idleTimeout: 0 }), jobState)
+    }
+    // Builds stream their output so that messages are reported while latexmk
+    // is still running. Only these builds are stopped when they are idle,
+    // since TeX always writes output unless it waits for input while other
+    // tools, e.g. R of knitr, may compute silently for a long time.
+    if (jobState) {
+      const idleTimeout = atom.config.get('latex.idleTimeout') * 1000
+      return this.executeAndParseOutput(jobState, command, Object.assign(options, { idleTimeout }))
+    }
+
+    return this.executeChildProcess(command, options)
   }
 
   async checkRuntimeDependencies () {
@@ -57,7 +138,7 @@ export default class LatexmkBuilder extends Builder {
 
     const version = match[1]
 
-    if (version < LATEXMK_MINIMUM_VERSION) {
+    if (compareVersions(version, LATEXMK_MINIMUM_VERSION) < 0) {
       latex.log.warning(`latexmk check succeeded but with a version of ${version}". Minimum version required is ${LATEXMK_MINIMUM_VERSION}.`)
       return
     }
@@ -65,25 +146,59 @@ export default class LatexmkBuilder extends Builder {
     latex.log.info(`latexmk check succeeded. Found version ${version}.`)
   }
 
-  logStatusCode (statusCode, stderr) {
+  // Find the version of latexmk that is used for a job, or null if it is
+  // unknown.
+  async getVersion (jobState) {
+    const options = this.constructChildProcessOptions(jobState.getProjectPath(), {}, jobState)
+    const { statusCode, stdout } = await this.executeChildProcess(`${this.executable} -v`, options, jobState)
+    const match = statusCode === 0 && stdout.match(LATEXMK_VERSION_PATTERN)
+
+    return match ? match[1] : null
+  }
+
+  // The TeX code of a build profile needs the -usepretex option, so reject a
+  // build with an older latexmk instead of letting it fail with an unknown
+  // option.
+  async checkPreTexSupport (jobState) {
+    if (!jobState.getPreTex()) return
+
+    const version = await this.getVersion(jobState)
+    if (version && compareVersions(version, LATEXMK_PRETEX_VERSION) < 0) {
+      throw new Error(`The TeX code of the build profile needs latexmk ${LATEXMK_PRETEX_VERSION} or later, but version ${version} was found.`)
+    }
+  }
+
+  getStep (text) {
+    let step
+    let match
+
+    RULE_PATTERN.lastIndex = 0
+    while ((match = RULE_PATTERN.exec(text)) !== null) {
+      step = `latexmk rule ${match[1]}`
+    }
+
+    return step
+  }
+
+  logStatusCode (statusCode, stderr, jobState) {
     switch (statusCode) {
       case 10:
-        latex.log.error('latexmk: Bad command line arguments.')
+        this.logError(jobState, 'latexmk: Bad command line arguments.')
         break
       case 11:
-        latex.log.error('latexmk: File specified on command line not found or other file not found.')
+        this.logError(jobState, 'latexmk: File specified on command line not found or other file not found.')
         break
-      case 12:
-        latex.log.error('latexmk: Failure in some part of making files.')
+      case LATEXMK_FAILURE_STATUS:
+        this.logError(jobState, 'latexmk: Failure in some part of making files.')
         break
       case 13:
-        latex.log.error('latexmk: error in initialization file.')
+        this.logError(jobState, 'latexmk: error in initialization file.')
         break
       case 20:
-        latex.log.error('latexmk: probable bug or retcode from called program.')
+        this.logError(jobState, 'latexmk: probable bug or retcode from called program.')
         break
       default:
-        super.logStatusCode(statusCode, stderr)
+        super.logStatusCode(statusCode, stderr, jobState)
     }
   }
 
@@ -135,10 +250,25 @@ export default class LatexmkBuilder extends Builder {
       args.push(`-outdir="${jobState.getOutputDirectory()}"`)
     }
 
+    // Insert the TeX code of the build profile before the document. The code
+    // is read from the environment by the latexmkrc.
+    if (jobState.getPreTex()) {
+      const latexmkrcPath = path.resolve(__dirname, '..', '..', 'resources', 'pretex.latexmkrc')
+      args.push(`-r "${latexmkrcPath}"`, '-usepretex')
+    }
+
     args.push(`"${jobState.getTexFilePath()}"`)
     return args
   }
 
+  constructContinuousArgs (jobState) {
+    const args = this.constructArgs(jobState)
+    // The result is opened by the opener after each cycle instead of the
+    // previewer configured for latexmk.
+    args.splice(args.length - 1, 0, '-pvc', '-view=none')
+    return args
+  }
+
   constructPdfProducerArgs (jobState) {
     const producer = jobState.getProducer()
 
@@ -0,0 +1,165 @@
+/** @babel */
+
+import fs from 'fs-plus'
+import path from 'path'
+import Builder from '../builder'
+import { compareVersions } from '../werkzeug'
+
+const TECTONIC_VERSION_PATTERN = /Tectonic\s+(\S+)/i
+const TECTONIC_MINIMUM_VERSION = '0.4.0'
+const TOOL_MESSAGE_PATTERN = /^(error|warning):\s+(.*)$/
+// TeX messages are also written to the log file and will be reported by the
+// log parser, so only messages from Tectonic itself are reported directly.
+const TEX_MESSAGE_PATTERN = /^.+:\d+:\s/
+const GENERATED_EXTENSIONS = ['.log', '.pdf', '.xdv', '.synctex.gz']
+const OUTPUT_FORMATS = {
+  pdf: 'pdf',
+  dvi: 'xdv'
+}
+
+export default class TectonicBuilder extends Builder {
+  executable = 'tectonic'
+  pendingRun = Promise.resolve()
+
+  // Prefer latexmk unless Tectonic is explicitly requested.
+  static priority = 5
+
+  static canProcess (state) {
+    return !!state.getTexFilePath()
+  }
+
+  async run (jobState) {
+    // Tectonic always names its output files after the source file, so jobs
+    // are run one at a time to keep them from overwriting each other before
+    // the output files are renamed to match the job name.
+    const run = this.pendingRun.then(() => this.runJob(jobState))
+    this.pendingRun = run.catch(() => {})
+    return run
+  }
+
+  async runJob (jobState) {
+    const outputDirectory = path.resolve(jobState.getProjectPath(), jobState.getOutputDirectory() || '')
+    fs.makeTreeSync(outputDirectory)
+
+    const args = this.constructArgs(jobState)
+    const { statusCode, stdout, stderr } = await this.execTectonic(jobState.getProjectPath(), args, jobState)
+
+    this.logToolMessages(`${stdout}\n${stderr}`, jobState)
+    this.renameOutputFiles(jobState)
+
+    if (statusCode !== 0) {
+      this.logStatusCode(statusCode, stderr, jobState)
+    }
+
+    return statusCode
+  }
+
+  async execTectonic (directoryPath, args, jobState) {
+    const options = this.constructChildProcessOptions(directoryPath, undefined, jobState)
+    const command = `${this.executable} ${args.join(' ')}`
+
+    return this.executeChildProcess(command, options, jobState)
+  }
+
+  async checkRuntimeDependencies () {
+    const { statusCode, stdout, stderr } = await this.execTectonic('.', ['--version'])
+
+    if (statusCode !== 0) {
+      // Tectonic is optional, so a missing executable is only a warning.
+      latex.log.warning(`tectonic check failed with code ${statusCode} and response of "${stderr}".`)
+      return
+    }
+
+    const match = stdout.match(TECTONIC_VERSION_PATTERN)
+
+    if (!match) {
+      latex.log.warning(`tectonic check succeeded but with an unknown version response of "${stdout}".`)
+      return
+    }
+
+    const version = match[1]
+
+    if (compareVersions(version, TECTONIC_MINIMUM_VERSION) < 0) {
+      latex.log.warning(`tectonic check succeeded but with a version of ${version}. Minimum version required is ${TECTONIC_MINIMUM_VERSION}.`)
+      return
+    }
+
+    latex.log.info(`tectonic check succeeded. Found version ${version}.`)
+  }
+
+  logToolMessages (output, jobState) {
+    const messages = []
+
+    for (const line of output.split(/\r?\n/)) {
+      const match = line.match(TOOL_MESSAGE_PATTERN)
+      if (match && !TEX_MESSAGE_PATTERN.test(match[2])) {
+        messages.push({ type: match[1], text: `tectonic: ${match[2]}` })
+      }
+    }
+
+    if (messages.length > 0) {
+      latex.log.showMessages(messages, jobState && jobState.getFilePath())
+    }
+  }
+
+  constructArgs (jobState) {
+    const args = [
+      '-X compile',
+      '--keep-logs'
+    ]
+
+    if (jobState.getEnableShellEscape()) {
+      args.push('-Z shell-escape')
+    }
+    if (jobState.getEnableSynctex()) {
+      args.push('--synctex')
+    }
+
+    const outputFormat = OUTPUT_FORMATS[jobState.getOutputFormat()]
+    if (outputFormat) {
+      args.push(`--outfmt ${outputFormat}`)
+    } else {
+      latex.log.showMessages([{
+        type: 'warning',
+        text: `tectonic does not support the ${jobState.getOutputFormat()} output format. Producing PDF instead.`
+      }], jobState.getFilePath())
+      args.push('--outfmt pdf')
+    }
+
+    if (jobState.getOutputDirectory()) {
+      args.push(`--outdir "${jobState.getOutputDirectory()}"`)
+    }
+
+    args.push(`"${jobState.getTexFilePath()}"`)
+    return args
+  }
+
+  renameOutputFiles (jobState) {
+    const jobName = jobState.getJobName()
+    const { name } = path.parse(jobState.getTexFilePath())
+    if (!jobName || jobName === name) return
+
+    const dir = path.resolve(jobState.getProjectPath(), jobState.getOutputDirectory() || '')
+
+    for (const ext of GENERATED_EXTENSIONS) {
+      const filePath = path.format({ dir, name, ext })
+      if (fs.existsSync(filePath)) {
+        const newFilePath = path.format({ dir, name: jobName, ext })
+        fs.removeSync(newFilePath)
+        fs.moveSync(filePath, newFilePath)
+      }
+    }
+  }
+
+  parseLogAndFdbFiles (jobState) {
+    // Tectonic does not produce a file database, so the output file is found
+    // by looking for the file that matches the requested output format.
+    this.parseLogFile(jobState)
+
+    const outputFormat = OUTPUT_FORMATS[jobState.getOutputFormat()] || 'pdf'
+    const outputFilePath = this.resolveOutputFilePath(jobState, `.${outputFormat}`)
+    if (fs.existsSync(outputFilePath)) {
+      jobState.setOutputFilePath(outputFilePath)
+    }
+  }
+}
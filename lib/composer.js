@@ -9,12 +9,44 @@ import minimatch from 'minimatch'
 import glob from 'glob'
 import yaml from 'js-yaml'
 import { CompositeDisposable, Disposable } from 'atom'
+import { shell } from 'electron'
 import BuildState from './build-state'
+import BuildQueue from './build-queue'
 import MagicParser from './parsers/magic-parser'
+import PreambleParser from './parsers/preamble-parser'
+import SettingsParser from './parsers/settings-parser'
+import RootResolver from './root-resolver'
+import Flattener from './flattener'
+import PackageInstaller from './package-installer'
+import SubmissionExporter from './submission-exporter'
+import WordCounter from './word-counter'
+import BuildStateView from './views/build-state-view'
+import CleanPreviewView from './views/clean-preview-view'
+import WordCountView from './views/word-count-view'
+
+const PROJECT_SETTINGS_FILE_NAME = '.atom-latex.yaml'
+
+// Files that are treated as sources by a clean when there is no file database.
+const SOURCE_FILE_PATTERN = /\.(?:tex|tikz|lhs|lagda|[prs]nw|bib|sty|cls|bst|dtx|ins)$/i
+
+// Packages and classes that only work with a specific engine. fontspec and
+// similar packages work with both xelatex and lualatex, so lualatex is only
+// chosen if a package needs it.
+const LUALATEX_PACKAGES = ['luacode', 'luatexja', 'luatexja-fontspec', 'luaotfload', 'luamplib', 'lua-ul']
+const XELATEX_PACKAGES = ['fontspec', 'unicode-math', 'polyglossia', 'xeCJK', 'xunicode', 'xltxtra']
+const LUALATEX_CLASS_PATTERN = /^ltj/
+const UPLATEX_CLASS_PATTERN = /^(?:js(?:article|book|report)|u[jt](?:article|book|report)|jlreq)$/
 
 export default class Composer extends Disposable {
   disposables = new CompositeDisposable()
   cachedBuildStates = new Map()
+  queue = new BuildQueue()
+  continuousBuilds = new Set()
+  rootResolver = new RootResolver()
+  flattener = new Flattener(this.rootResolver)
+  packageInstaller = new PackageInstaller()
+  submissionExporter = new SubmissionExporter()
+  wordCounter = new WordCounter()
   updateDiCyUserOptions = true
 
   constructor () {
@@ -22,8 +54,19 @@ export default class Composer extends Disposable {
       this.disposables.dispose()
       this.destroyDiCy()
     })
+    this.disposables.add(this.queue)
+    this.disposables.add(this.wordCounter)
+    this.disposables.add(this.rootResolver)
     this.disposables.add(atom.config.onDidChange('latex', () => this.updateConfiguration()))
     this.disposables.add(atom.config.onDidChange('latex.useDicy', () => this.destroyDiCy()))
+    this.disposables.add(atom.workspace.addOpener(uri => {
+      if (uri === BuildStateView.BUILD_STATE_URI) {
+        return new BuildStateView()
+      }
+      if (uri === WordCountView.WORD_COUNT_URI) {
+        return new WordCountView({ wordCounter: this.wordCounter })
+      }
+    }))
   }
 
   updateConfiguration () {
@@ -40,14 +83,26 @@ export default class Composer extends Disposable {
       state = this.cachedBuildStates.get(filePath)
     } else {
       state = new BuildState(filePath)
+      // Settings are applied from the most general to the most specific.
       this.initializeBuildStateFromConfig(state)
+      this.initializeRootFilePath(state)
+      this.initializeBuildStateFromSettingsFile(state, this.getProjectSettingsFilePath(state))
       this.initializeBuildStateFromMagic(state)
-      this.initializeBuildStateFromSettingsFile(state)
+      this.initializeBuildStateFromSettingsFile(state, this.getDocumentSettingsFilePath(state))
+      this.initializeBuildStateFromProfile(state)
+      this.initializeBuildStateFromPreamble(state)
       // Check again in case there was a root comment
       const masterFilePath = state.getFilePath()
       if (filePath !== masterFilePath) {
-        if (allowCached && this.cachedBuildStates.has(masterFilePath)) {
-          state = this.cachedBuildStates.get(masterFilePath)
+        const cachedState = this.cachedBuildStates.get(masterFilePath)
+        if (allowCached && cachedState) {
+          state = cachedState
+        } else if (cachedState) {
+          // Keep the other files that are known to belong to this root so that
+          // their root files do not have to be resolved again.
+          for (const subfile of cachedState.getSubfiles()) {
+            state.addSubfile(subfile)
+          }
         }
         state.addSubfile(filePath)
       }
@@ -80,101 +135,364 @@ export default class Composer extends Disposable {
   }
 
   initializeBuildStateFromConfig (state) {
-    this.initializeBuildStateFromProperties(state, atom.config.get('latex'))
+    this.initializeBuildStateFromProperties(state, atom.config.get('latex'), { type: 'config' })
   }
 
-  initializeBuildStateFromProperties (state, properties) {
+  initializeBuildStateFromProperties (state, properties, source) {
     if (!properties) return
 
     if (properties.cleanPatterns) {
       state.setCleanPatterns(properties.cleanPatterns)
+      this.recordSettingSource(state, 'cleanPatterns', 'cleanPatterns', source)
     }
 
     if ('enableSynctex' in properties) {
       state.setEnableSynctex(properties.enableSynctex)
+      this.recordSettingSource(state, 'enableSynctex', 'enableSynctex', source)
     }
 
     if ('enableShellEscape' in properties) {
       state.setEnableShellEscape(properties.enableShellEscape)
+      this.recordSettingSource(state, 'enableShellEscape', 'enableShellEscape', source)
     }
 
     if ('enableExtendedBuildMode' in properties) {
       state.setEnableExtendedBuildMode(properties.enableExtendedBuildMode)
+      this.recordSettingSource(state, 'enableExtendedBuildMode', 'enableExtendedBuildMode', source)
+    }
+
+    if (_.isPlainObject(properties.environment)) {
+      // Variables are merged so that a settings file only has to set the
+      // variables that differ from the project or the package config.
+      state.setEnvironment(Object.assign({}, state.getEnvironment(), properties.environment))
+      this.recordSettingSource(state, 'environment', 'environment', source)
     }
 
-    if (properties.jobNames) {
+    if (properties.jobs) {
+      try {
+        state.setJobs(this.parseJobs(properties.jobs))
+        this.recordSettingSource(state, 'jobNames', 'jobs', source)
+      } catch (error) {
+        const { filePath, range } = this.createSettingSource(source || {}, 'jobs')
+        state.setSettingsMessages(state.getSettingsMessages().concat([
+          { type: 'error', text: `Parsing of jobs failed: ${error.reason || error.message}`, filePath, range }
+        ]))
+      }
+    } else if (properties.jobNames) {
       state.setJobNames(properties.jobNames)
+      this.recordSettingSource(state, 'jobNames', 'jobNames', source)
     } else if (properties.jobnames) {
       // jobnames is for compatibility with magic comments
       state.setJobNames(properties.jobnames)
+      this.recordSettingSource(state, 'jobNames', 'jobnames', source)
     } else if (properties.jobname) {
       // jobname is for compatibility with Sublime
       state.setJobNames([properties.jobname])
+      this.recordSettingSource(state, 'jobNames', 'jobname', source)
     }
 
     if ('openResultAfterBuild' in properties) {
       state.setOpenResultAfterBuild(properties.openResultAfterBuild)
+      this.recordSettingSource(state, 'openResultAfterBuild', 'openResultAfterBuild', source)
     }
 
     if (properties.customEngine) {
       state.setEngine(properties.customEngine)
+      this.recordSettingSource(state, 'engine', 'customEngine', source)
     } else if (properties.engine) {
       state.setEngine(properties.engine)
+      this.recordSettingSource(state, 'engine', 'engine', source)
     } else if (properties.program) {
       // program is for compatibility with magic comments
       state.setEngine(properties.program)
+      this.recordSettingSource(state, 'engine', 'program', source)
+    }
+
+    if ('builder' in properties) {
+      state.setBuilder(properties.builder)
+      this.recordSettingSource(state, 'builder', 'builder', source)
     }
 
     if ('moveResultToSourceDirectory' in properties) {
       state.setMoveResultToSourceDirectory(properties.moveResultToSourceDirectory)
+      this.recordSettingSource(state, 'moveResultToSourceDirectory', 'moveResultToSourceDirectory', source)
     }
 
     if (properties.outputFormat) {
       state.setOutputFormat(properties.outputFormat)
+      this.recordSettingSource(state, 'outputFormat', 'outputFormat', source)
     } else if (properties.format) {
       // format is for compatibility with magic comments
       state.setOutputFormat(properties.format)
+      this.recordSettingSource(state, 'outputFormat', 'format', source)
     }
 
     if ('outputDirectory' in properties) {
       state.setOutputDirectory(properties.outputDirectory)
+      this.recordSettingSource(state, 'outputDirectory', 'outputDirectory', source)
     } else if ('output_directory' in properties) {
       // output_directory is for compatibility with Sublime
       state.setOutputDirectory(properties.output_directory)
+      this.recordSettingSource(state, 'outputDirectory', 'output_directory', source)
     }
 
     if (properties.producer) {
       state.setProducer(properties.producer)
+      this.recordSettingSource(state, 'producer', 'producer', source)
+    }
+
+    if (Array.isArray(properties.profiles)) {
+      state.setProfiles(Object.assign({}, state.getProfiles(), _.keyBy(properties.profiles, 'name')))
+    }
+  }
+
+  // Apply the settings of the active profile after all other settings since
+  // the profile is chosen explicitly for the next builds. Settings of a single
+  // job are more specific, so they are kept and the precedence is reported.
+  initializeBuildStateFromProfile (state) {
+    const name = atom.config.get('latex.activeProfile')
+    if (!name) return
+
+    const profile = state.getProfiles()[name]
+    if (!profile) {
+      state.setSettingsMessages(state.getSettingsMessages().concat([
+        { type: 'warning', text: `The build profile \`${name}\` is not defined.` }
+      ]))
+      return
+    }
+
+    const settingSource = { type: 'profile', name }
+    const messages = []
+    const reportJobOverrides = (settingName, label) => {
+      for (const jobState of state.getJobStates()) {
+        if (settingName in jobState.getOverrides()) {
+          messages.push({
+            type: 'info',
+            text: `The ${label} of the build profile \`${name}\` is not used for the job \`${jobState.getJobName()}\` since the job sets its own ${label}.`
+          })
+        }
+      }
+    }
+
+    if (profile.engine) {
+      state.setEngine(profile.engine)
+      state.setSettingSource('engine', settingSource)
+      reportJobOverrides('engine', 'engine')
+    }
+
+    if (profile.jobName) {
+      // Rename the job so that the settings of a job from the jobs setting are
+      // kept. A single name cannot be given to more than one job.
+      const jobStates = state.getJobStates()
+      if (jobStates.length === 1) {
+        jobStates[0].setJobName(profile.jobName)
+        state.setSettingSource('jobNames', settingSource)
+      } else {
+        messages.push({
+          type: 'warning',
+          text: `The job name of the build profile \`${name}\` is not used since the build has ${jobStates.length} jobs.`
+        })
+      }
+    }
+
+    if ('outputDirectory' in profile) {
+      state.setOutputDirectory(profile.outputDirectory)
+      state.setSettingSource('outputDirectory', settingSource)
+      reportJobOverrides('outputDirectory', 'output directory')
+    }
+
+    if (profile.preTex) {
+      state.setPreTex(profile.preTex)
+      state.setSettingSource('preTex', settingSource)
+    }
+
+    state.setSettingsMessages(state.getSettingsMessages().concat(messages))
+  }
+
+  // Replace the engine `auto` by the engine that the preamble of the root file
+  // needs. The choice is reported with the other settings messages.
+  initializeBuildStateFromPreamble (state) {
+    const isAuto = state.getEngine() === 'auto'
+    const jobStates = state.getJobStates().filter(jobState => jobState.getOverrides().engine === 'auto')
+    if (!isAuto && jobStates.length === 0) return
+
+    const filePath = state.getTexFilePath() || state.getFilePath()
+    const { engine, reason, range } = this.detectEngine(filePath)
+
+    if (isAuto) state.setEngine(engine)
+    for (const jobState of jobStates) {
+      jobState.setOverride('engine', engine)
+    }
+
+    state.setSettingsMessages(state.getSettingsMessages().concat([
+      { type: 'info', text: `Using ${engine} since ${reason}.`, filePath, range }
+    ]))
+  }
+
+  detectEngine (filePath) {
+    const { documentClass, packages } = new PreambleParser(filePath).parse()
+
+    if (documentClass && LUALATEX_CLASS_PATTERN.test(documentClass.name)) {
+      return { engine: 'lualatex', reason: `the class ${documentClass.name} is used`, range: documentClass.range }
+    }
+
+    const luaPackage = packages.find(({ name }) => LUALATEX_PACKAGES.includes(name))
+    if (luaPackage) {
+      return { engine: 'lualatex', reason: `${luaPackage.name} is loaded`, range: luaPackage.range }
+    }
+
+    if (documentClass && UPLATEX_CLASS_PATTERN.test(documentClass.name)) {
+      return { engine: 'uplatex', reason: `the class ${documentClass.name} is used`, range: documentClass.range }
+    }
+
+    const unicodePackage = packages.find(({ name }) => XELATEX_PACKAGES.includes(name))
+    if (unicodePackage) {
+      return { engine: 'xelatex', reason: `${unicodePackage.name} is loaded`, range: unicodePackage.range }
+    }
+
+    return { engine: 'pdflatex', reason: 'the preamble does not need another engine' }
+  }
+
+  getProfileNames (filePath) {
+    if (filePath && isSourceFile(filePath)) {
+      const { state } = this.initializeBuild(filePath)
+      if (state) return Object.keys(state.getProfiles())
+    }
+
+    return _.map(atom.config.get('latex.profiles'), 'name')
+  }
+
+  selectProfile () {
+    const { filePath } = getEditorDetails()
+    const names = this.getProfileNames(filePath)
+
+    if (names.length === 0) {
+      latex.log.info('No build profiles are defined.')
+      return false
+    }
+
+    const buttons = names.concat(['None', 'Cancel'])
+    const index = atom.confirm({
+      message: 'Select the build profile',
+      detailedMessage: `The active profile is ${atom.config.get('latex.activeProfile') || 'none'}.`,
+      buttons
+    })
+
+    if (index === buttons.length - 1) return false
+
+    atom.config.set('latex.activeProfile', index < names.length ? names[index] : '')
+    return true
+  }
+
+  // Magic comments give jobs as a YAML flow sequence, i.e.
+  // `% !TEX jobs = [{name: print, engine: lualatex}, screen]`, which is
+  // validated in the same way as the jobs of settings files.
+  parseJobs (jobs) {
+    if (typeof jobs === 'string') jobs = yaml.safeLoad(jobs)
+
+    const problem = new SettingsParser().validate('jobs', jobs)
+    if (problem) throw new Error(problem.text)
+
+    return jobs
+  }
+
+  recordSettingSource (state, settingName, name, source) {
+    if (source) state.setSettingSource(settingName, this.createSettingSource(source, name))
+  }
+
+  createSettingSource (source, name) {
+    const settingSource = { type: source.type, name }
+
+    if (source.filePath) {
+      settingSource.filePath = source.filePath
+      if (source.lineNumbers && name in source.lineNumbers) {
+        const lineIndex = source.lineNumbers[name]
+        settingSource.range = [[lineIndex, 0], [lineIndex, Number.MAX_SAFE_INTEGER]]
+      }
+    }
+
+    return settingSource
+  }
+
+  // Replace the file path by the root file given by a root magic comment or
+  // found by the root resolver, so that the settings of the root file are used.
+  initializeRootFilePath (state) {
+    const result = this.getMagic(state)
+
+    if (result.magic.root) {
+      this.recordSettingSource(state, 'root', 'root', result.source)
+      state.setFilePath(path.resolve(state.getProjectPath(), result.magic.root))
+    } else {
+      const filePath = state.getFilePath()
+      const rootFilePath = this.resolveRootFilePath(filePath)
+      if (rootFilePath !== filePath) {
+        state.setSettingSource('root', { type: 'discovery' })
+        state.setFilePath(rootFilePath)
+        // The choice is reported with the messages of the build since the log
+        // is cleared when the build starts.
+        state.setSettingsMessages(state.getSettingsMessages().concat([
+          { type: 'info', text: `Using ${rootFilePath} as the root file since it includes ${filePath}.` }
+        ]))
+      }
     }
   }
 
   initializeBuildStateFromMagic (state) {
-    let magic = this.getMagic(state)
+    const result = this.getMagic(state)
+    this.initializeBuildStateFromProperties(state, result.magic, result.source)
+  }
 
-    if (magic.root) {
-      state.setFilePath(path.resolve(state.getProjectPath(), magic.root))
-      magic = this.getMagic(state)
+  resolveRootFilePath (filePath) {
+    // Reuse the root file found by a previous build so that the project is not
+    // scanned and the user is not asked again.
+    const cachedState = this.cachedBuildStates.get(filePath)
+    if (cachedState && cachedState.hasSubfile(filePath)) {
+      return cachedState.getFilePath()
     }
 
-    this.initializeBuildStateFromProperties(state, magic)
+    return this.rootResolver.resolve(filePath)
   }
 
   getMagic (state) {
-    return new MagicParser(state.getFilePath()).parse()
+    const filePath = state.getFilePath()
+    const parser = new MagicParser(filePath)
+    const magic = parser.parse()
+
+    return { magic, source: { type: 'magic', filePath, lineNumbers: parser.lineNumbers } }
   }
 
-  initializeBuildStateFromSettingsFile (state) {
-    try {
-      const { dir, name } = path.parse(state.getFilePath())
-      const filePath = path.format({ dir, name, ext: '.yaml' })
+  // The .atom-latex.yaml in the project root is applied before the magic
+  // comments and the yaml file with the same name as the root file after them.
+  // Problems are kept with the build state so they can be reported when the
+  // log is cleared for a build.
+  initializeBuildStateFromSettingsFile (state, filePath) {
+    if (!fs.existsSync(filePath)) return
 
-      if (fs.existsSync(filePath)) {
-        const config = yaml.safeLoad(fs.readFileSync(filePath))
-        this.initializeBuildStateFromProperties(state, config)
-      }
+    let messages
+
+    try {
+      const result = new SettingsParser(filePath).parse()
+      this.initializeBuildStateFromProperties(state, result.properties, { type: 'settings', filePath, lineNumbers: result.lineNumbers })
+      messages = result.messages
     } catch (error) {
-      latex.log.error(`Parsing of project file failed: ${error.message}`)
+      messages = [{ type: 'error', text: `Reading of settings file failed: ${error.message}`, filePath }]
     }
+
+    state.setSettingsMessages(state.getSettingsMessages().concat(messages))
+  }
+
+  getSettingsFilePaths (state) {
+    return _.uniq([this.getProjectSettingsFilePath(state), this.getDocumentSettingsFilePath(state)])
+  }
+
+  getProjectSettingsFilePath (state) {
+    const [projectPath] = atom.project.relativizePath(state.getFilePath())
+    return path.join(projectPath || path.dirname(state.getFilePath()), PROJECT_SETTINGS_FILE_NAME)
+  }
+
+  getDocumentSettingsFilePath (state) {
+    const { dir, name } = path.parse(state.getFilePath())
+    return path.format({ dir, name, ext: '.yaml' })
   }
 
   async startDiCy () {
@@ -288,6 +606,9 @@ export default class Composer extends Disposable {
     }
     const cleanPatterns = atom.config.get('latex.cleanPatterns')
 
+    // DiCy does not detect the engine so it uses its default engine instead.
+    if (options.engine === 'auto') delete options.engine
+
     // Convert property expansion to DiCy's conventions
     options.cleanPatterns = cleanPatterns.map(pattern => replacePropertiesInString(pattern, properties))
 
@@ -350,9 +671,7 @@ export default class Composer extends Disposable {
     if (!fastLoad) latex.status.setIdle()
   }
 
-  async build (shouldRebuild = false, enableLogging = true) {
-    await this.kill()
-
+  async build (shouldRebuild = false, enableLogging = true, delay = 0) {
     const { editor, filePath, lineNumber } = getEditorDetails()
 
     if (!this.isValidSourceFile(filePath, enableLogging)) {
@@ -364,6 +683,7 @@ export default class Composer extends Disposable {
     }
 
     if (this.shouldUseDiCy()) {
+      await this.kill()
       return this.runDiCy(['load', 'build', 'log', 'save'], {
         shouldRebuild,
         openResults: this.shouldOpenResult(),
@@ -373,6 +693,22 @@ export default class Composer extends Disposable {
 
     const { builder, state } = this.initializeBuild(filePath)
     if (!builder) return false
+
+    // latexmk -pvc already rebuilds whenever a file is saved.
+    if (this.continuousBuilds.has(state.getFilePath())) {
+      if (enableLogging) {
+        latex.log.info(`${state.getFilePath()} is already being built continuously.`)
+      }
+      return true
+    }
+
+    // Requests to build the same root file are coalesced and replace any
+    // running build of that file. Other root files are built in parallel.
+    return this.queue.enqueue(state.getFilePath(),
+      () => this.buildState(filePath, lineNumber, builder, state, shouldRebuild), delay)
+  }
+
+  async buildState (filePath, lineNumber, builder, state, shouldRebuild) {
     state.setShouldRebuild(shouldRebuild)
 
     if (this.rebuildCompleted && !this.rebuildCompleted.has(state.getFilePath())) {
@@ -380,23 +716,46 @@ export default class Composer extends Disposable {
       this.rebuildCompleted.add(state.getFilePath())
     }
 
-    latex.log.clear()
+    // Only replace the messages of the previous build of this root file, so
+    // that the results of other root files are kept.
+    latex.log.clear(state.getFilePath())
+    if (!this.queue.hasOtherBuilds(state.getFilePath())) latex.log.clearOutput()
+    latex.log.showMessages(state.getSettingsMessages().concat(state.getBuilderMessages()), state.getFilePath())
     latex.status.setBusy()
 
+    const entry = latex.history.startBuild(state, latex.builderRegistry.getBuilderName(builder))
     const jobs = state.getJobStates().map(jobState => this.buildJob(filePath, lineNumber, builder, jobState))
 
-    await Promise.all(jobs)
+    const statusCodes = await Promise.all(jobs)
+    const failedStatusCode = statusCodes.find(statusCode => statusCode !== 0)
+    // Only record the messages of this build, not those of other root files.
+    const messages = latex.log.getMessages(false).filter(message => message.root === state.getFilePath())
+    latex.history.finishBuild(entry, failedStatusCode === undefined ? 0 : failedStatusCode, messages)
+
+    // Keep the word count up to date once the root file has been counted.
+    if (failedStatusCode === undefined && this.wordCounter.hasCount(state.getFilePath())) {
+      await this.wordCounter.count(builder, state.getJobStates()[0])
+    }
 
     latex.status.setIdle()
   }
 
   async buildJob (filePath, lineNumber, builder, jobState) {
     try {
+      if (this.isUpToDate(builder, jobState)) {
+        latex.log.showMessages([{
+          type: 'info',
+          text: `${path.basename(jobState.getOutputFilePath())} is up to date.`
+        }].concat(jobState.getLogMessages()), jobState.getFilePath())
+        this.showResult(filePath, lineNumber, jobState)
+        return 0
+      }
+
       const statusCode = await builder.run(jobState)
       builder.parseLogAndFdbFiles(jobState)
 
       const messages = jobState.getLogMessages() || []
-      latex.log.showMessages(messages)
+      latex.log.showMessages(messages, jobState.getFilePath())
 
       if (statusCode > 0 || !jobState.getLogMessages() || !jobState.getOutputFilePath()) {
         this.showError(jobState)
@@ -406,9 +765,135 @@ export default class Composer extends Disposable {
         }
         this.showResult(filePath, lineNumber, jobState)
       }
+
+      return statusCode
     } catch (error) {
-      latex.log.error(error.message)
+      latex.log.showMessages([{ type: 'error', text: error.message }], jobState.getFilePath())
+      return null
+    }
+  }
+
+  // Show the settings that a build of the current root file would use along
+  // with the source of each setting.
+  async showBuildState () {
+    const { filePath } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath)
+    if (!builder) return false
+
+    const view = await atom.workspace.open(BuildStateView.BUILD_STATE_URI)
+    await view.update({ state, builderName: latex.builderRegistry.getBuilderName(builder) })
+
+    return true
+  }
+
+  // A job is up to date if the previous build succeeded, its result still
+  // exists and none of the sources or settings files has changed since.
+  isUpToDate (builder, jobState) {
+    if (jobState.getShouldRebuild()) return false
+
+    builder.parseLogAndFdbFiles(jobState)
+    const outputFilePath = this.getUpToDateOutputFilePath(builder, jobState)
+
+    if (outputFilePath) {
+      jobState.setOutputFilePath(outputFilePath)
+      return true
+    }
+
+    // Forget the results of the previous build so they are not mistaken for
+    // the results of the next one.
+    jobState.setLogMessages(undefined)
+    jobState.setOutputFilePath(undefined)
+    jobState.setFileDatabase(undefined)
+    return false
+  }
+
+  getUpToDateOutputFilePath (builder, jobState) {
+    const messages = jobState.getLogMessages()
+    let outputFilePath = jobState.getOutputFilePath()
+    if (!messages || messages.some(message => message.type === 'error') || !outputFilePath) return
+
+    if (this.shouldMoveResult(jobState)) {
+      outputFilePath = this.alterParentPath(jobState.getFilePath(), outputFilePath)
     }
+    if (!fs.existsSync(outputFilePath) || !builder.hasUnchangedSources(jobState)) return
+
+    const fdbTime = fs.statSync(builder.resolveFdbFilePath(jobState)).mtime.getTime()
+    const settingsChanged = this.getSettingsFilePaths(jobState)
+      .some(filePath => fs.existsSync(filePath) && fs.statSync(filePath).mtime.getTime() > fdbTime)
+
+    return settingsChanged ? undefined : outputFilePath
+  }
+
+  async toggleContinuous () {
+    const { filePath, lineNumber } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath)
+    if (!builder) return false
+
+    const rootFilePath = state.getFilePath()
+    if (this.continuousBuilds.has(rootFilePath)) {
+      latex.process.killChildProcesses(rootFilePath)
+      return true
+    }
+
+    if (!builder.runContinuous) {
+      latex.log.warning(`The ${latex.builderRegistry.getBuilderName(builder)} builder does not support continuous builds.`)
+      return false
+    }
+
+    // Stop any one-shot build of the same root file.
+    latex.process.killChildProcesses(rootFilePath)
+
+    this.continuousBuilds.add(rootFilePath)
+    latex.log.clear(rootFilePath)
+    latex.log.showMessages(state.getSettingsMessages().concat(state.getBuilderMessages()), rootFilePath)
+    latex.status.setWatching()
+    latex.log.info(`Watching ${rootFilePath} for changes.`)
+
+    const jobs = state.getJobStates().map(jobState => {
+      let messages = []
+      return builder.runContinuous(jobState, statusCode => {
+        messages = this.finishContinuousCycle(filePath, lineNumber, builder, jobState, statusCode, messages)
+      })
+    })
+
+    try {
+      await Promise.all(jobs)
+    } catch (error) {
+      latex.log.showMessages([{ type: 'error', text: error.message }], rootFilePath)
+    }
+
+    this.continuousBuilds.delete(rootFilePath)
+    latex.status.setNotWatching()
+    latex.log.info(`Stopped watching ${rootFilePath}.`)
+
+    return true
+  }
+
+  // Replace the messages of the previous cycle and refresh the opener if the
+  // cycle was successful. Returns the messages of this cycle.
+  finishContinuousCycle (filePath, lineNumber, builder, jobState, statusCode, previousMessages) {
+    jobState.setLogMessages(undefined)
+    jobState.setFileDatabase(undefined)
+    builder.parseLogAndFdbFiles(jobState)
+
+    latex.log.removeMessages(previousMessages)
+    const messages = latex.log.showMessages(jobState.getLogMessages() || [], jobState.getFilePath())
+
+    if (statusCode > 0 || !jobState.getLogMessages() || !jobState.getOutputFilePath()) {
+      this.showError(jobState)
+    } else {
+      this.showResult(filePath, lineNumber, jobState)
+    }
+
+    return messages
   }
 
   async kill () {
@@ -448,14 +933,191 @@ export default class Composer extends Disposable {
     await latex.opener.open(outputFilePath, filePath, lineNumber)
   }
 
-  async clean () {
+  // Export the inputs of the last build of the root file as an archive for
+  // submission to arXiv or a journal.
+  async exportSubmission () {
+    const { filePath } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath, true)
+    if (!builder) return false
+
+    const [jobState] = state.getJobStates()
+    if (!jobState.getFileDatabase()) {
+      builder.parseLogAndFdbFiles(jobState)
+    }
+
+    latex.log.clear()
+    latex.log.showMessages(state.getSettingsMessages())
+
+    if (!jobState.getFileDatabase()) {
+      latex.log.error(`Build ${state.getFilePath()} using latexmk before exporting a submission since the inputs are taken from its file database.`)
+      return false
+    }
+
+    if (!builder.hasUnchangedSources(jobState)) {
+      latex.log.warning('The sources have changed since the last build so the submission may be incomplete.')
+    }
+
+    latex.status.setBusy()
+
+    try {
+      await this.submissionExporter.export(builder, jobState)
+      return true
+    } finally {
+      latex.status.setIdle()
+    }
+  }
+
+  // Inline the files included by the root file and write the result to the
+  // output directory. The bibliography is inlined from the .bbl file of the
+  // last build if latex.flattenBibliography is enabled.
+  flatten () {
+    const { filePath } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath, true)
+    if (!builder) return false
+
+    latex.log.clear()
+    latex.log.showMessages(state.getSettingsMessages())
+
+    const [jobState] = state.getJobStates()
+    const texFilePath = jobState.getTexFilePath()
+    if (!texFilePath) {
+      latex.log.error(`Unable to flatten ${state.getFilePath()} since it is not a TeX file.`)
+      return false
+    }
+
+    const { dir, name } = path.parse(texFilePath)
+    const outputFilePath = path.resolve(dir, jobState.getOutputDirectory() || '', `${name}-flattened.tex`)
+    const bblFilePath = atom.config.get('latex.flattenBibliography')
+      ? builder.resolveOutputFilePath(jobState, '.bbl')
+      : null
+
+    // The output directory does not exist before the first build.
+    fs.makeTreeSync(path.dirname(outputFilePath))
+    fs.writeFileSync(outputFilePath, this.flattener.flatten(texFilePath, bblFilePath))
+    latex.log.info(`Flattened ${texFilePath} into ${outputFilePath}.`)
+
+    return true
+  }
+
+  // Count the words of the root file and the files it includes and show the
+  // counts of each file and section.
+  async countWords () {
+    const { filePath } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath, true)
+    if (!builder) return false
+
+    const [jobState] = state.getJobStates()
+    if (!jobState.getTexFilePath()) {
+      latex.log.error(`Unable to count the words of ${state.getFilePath()} since it is not a TeX file.`)
+      return false
+    }
+
+    latex.status.setBusy()
+
+    try {
+      if (!await this.wordCounter.count(builder, jobState)) return false
+    } finally {
+      latex.status.setIdle()
+    }
+
+    await atom.workspace.open(WordCountView.WORD_COUNT_URI)
+    return true
+  }
+
+  // Offer to install the package that provides a file that the build could not
+  // find and rebuild once the package has been installed.
+  async installMissingFile (fileName) {
+    const { filePath } = getEditorDetails()
+    if (!this.isValidSourceFile(filePath)) {
+      return false
+    }
+
+    const { builder, state } = this.initializeBuild(filePath, true)
+    if (!builder) return false
+
+    // Downloads may take a while, so only stop an installation that hangs.
+    // An installation has its own process group and cannot be killed, so that
+    // it is not stopped halfway through by a build of the root file.
+    const [jobState] = state.getJobStates()
+    const options = Object.assign(builder.constructChildProcessOptions(state.getProjectPath(), {}, jobState), {
+      timeout: 0,
+      allowKill: false,
+      processGroup: `${state.getFilePath()}:install`
+    })
+    let installedFilePath, packages
+
+    latex.status.setBusy()
+
+    try {
+      installedFilePath = await this.packageInstaller.locateFile(fileName, builder, options, jobState)
+      if (!installedFilePath) packages = await this.packageInstaller.searchPackages(fileName, builder, options, jobState)
+    } finally {
+      latex.status.setIdle()
+    }
+
+    if (installedFilePath) {
+      latex.log.info(`${fileName} is already installed at ${installedFilePath}. Update the file name database of your TeX distribution if it is still not found.`)
+      return false
+    }
+
+    // MiKTeX mostly names packages like TeX Live, so the name found by tlmgr is
+    // preferred over the name of the file.
+    const candidates = (packages || []).map(name => ({ manager: 'tlmgr', name }))
+      .concat([{ manager: 'mpm', name: (packages && packages[0]) || path.parse(fileName).name }])
+    const buttons = candidates.map(({ manager, name }) => `Install ${name} with ${manager}`).concat(['Cancel'])
+    let detailedMessage
+    if (!packages) {
+      detailedMessage = 'tlmgr is not available.'
+    } else if (packages.length === 0) {
+      detailedMessage = `tlmgr did not find a package that provides ${fileName}.`
+    } else {
+      detailedMessage = `${fileName} is provided by ${packages.join(', ')}.`
+    }
+
+    const index = atom.confirm({
+      message: `Install the package that provides ${fileName}?`,
+      detailedMessage,
+      buttons
+    })
+
+    if (index === buttons.length - 1) return false
+
+    const { manager, name } = candidates[index]
+    latex.status.setBusy()
+
+    try {
+      if (!await this.packageInstaller.install(manager, name, builder, options, jobState)) return false
+    } finally {
+      latex.status.setIdle()
+    }
+
+    await this.build()
+    return true
+  }
+
+  // Clean either the auxiliary files only or everything the build generated,
+  // including the results and the output directory. The files are listed for
+  // review before they are removed if latex.previewClean is enabled.
+  async clean (level = 'auxiliary') {
     const { filePath } = getEditorDetails()
     if (!this.isValidSourceFile(filePath)) {
       return false
     }
 
     if (this.shouldUseDiCy()) {
-      return this.runDiCy(['load', 'clean', 'save'], { openResults: false, clearLog: true })
+      return this.runDiCy(['load', level === 'all' ? 'scrub' : 'clean', 'save'], { openResults: false, clearLog: true })
     }
 
     const { builder, state } = this.initializeBuild(filePath, true)
@@ -463,15 +1125,52 @@ export default class Composer extends Disposable {
 
     latex.status.setBusy()
     latex.log.clear()
+    latex.log.showMessages(state.getSettingsMessages())
 
-    const jobs = state.getJobStates().map(jobState => this.cleanJob(builder, jobState))
+    try {
+      const jobStates = state.getJobStates()
+      const cleanFiles = _.flatten(jobStates.map(jobState => this.getCleanFiles(builder, jobState, level)))
+      const isBuildSource = this.getSourceFileMatcher(builder, jobStates)
+      const directoryPaths = level === 'all'
+        ? _.uniq(_.compact(jobStates.map(jobState => this.getCleanableOutputDirectory(jobState, isBuildSource))))
+        : []
+      // Files in a removed output directory do not have to be listed.
+      const isInDirectory = file => directoryPaths.some(directoryPath => file.startsWith(directoryPath + path.sep))
+      const files = this.excludeSourceFiles(isBuildSource,
+        _.uniq(directoryPaths.concat(cleanFiles.filter(file => !isInDirectory(file)))))
+
+      const shouldPreview = atom.config.get('latex.previewClean')
+      // Only files that exist are listed in the preview.
+      const previewFiles = shouldPreview ? files.filter(file => fs.existsSync(file)) : files
+
+      if (previewFiles.length === 0) {
+        latex.log.info('There are no files to clean.')
+        return true
+      }
 
-    await Promise.all(jobs)
+      const selectedFiles = shouldPreview
+        ? await this.previewClean(previewFiles, directoryPaths, path.dirname(state.getFilePath()))
+        : files
 
-    latex.status.setIdle()
+      if (!selectedFiles) return false
+
+      // Only report the files that existed before they were removed.
+      const removedFiles = selectedFiles.filter(file => fs.existsSync(file))
+      this.removeFiles(selectedFiles)
+
+      if (removedFiles.length === 0) {
+        latex.log.info('There are no files to clean.')
+      } else {
+        latex.log.info('Cleaned: ' + removedFiles.map(file => path.basename(file)).join(', '))
+      }
+
+      return true
+    } finally {
+      latex.status.setIdle()
+    }
   }
 
-  async cleanJob (builder, jobState) {
+  getCleanFiles (builder, jobState, level) {
     const generatedFiles = this.getGeneratedFileList(builder, jobState)
     let files = new Set()
 
@@ -495,11 +1194,109 @@ export default class Composer extends Disposable {
       }
     }
 
-    const fileNames = Array.from(files.values()).map(file => path.basename(file)).join(', ')
-    latex.log.info('Cleaned: ' + fileNames)
+    const resultFiles = this.getResultFiles(builder, jobState)
+
+    if (level === 'all') {
+      return Array.from(files.values()).concat(resultFiles.filter(file => fs.existsSync(file)))
+    }
+
+    return Array.from(files.values()).filter(file => !resultFiles.includes(file))
+  }
+
+  // The results of a job in the output directory and in the source directory
+  // in case they were moved there after the build.
+  getResultFiles (builder, jobState) {
+    const sourcePath = path.dirname(jobState.getFilePath())
+    const files = ['.pdf', '.ps', '.dvi'].map(ext => builder.resolveOutputFilePath(jobState, ext))
+
+    if (jobState.getOutputFilePath()) files.push(jobState.getOutputFilePath())
+
+    return _.uniq(files.concat(files.map(file => path.join(sourcePath, path.basename(file)))))
+  }
+
+  // Only an output directory below the directory of the root file is removed
+  // so that a clean cannot remove the project or a directory outside of it.
+  // Without a file database the generated files are not known, so the output
+  // directory is only cleaned by pattern. A directory that contains a source
+  // file is never removed.
+  getCleanableOutputDirectory (jobState, isBuildSource) {
+    if (!jobState.getFileDatabase()) return
+
+    const sourcePath = path.dirname(jobState.getFilePath())
+    const outputPath = path.resolve(sourcePath, jobState.getOutputDirectory() || '')
+    const relativePath = path.relative(sourcePath, outputPath)
+
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) || !fs.isDirectorySync(outputPath)) {
+      return
+    }
 
-    for (const file of files.values()) {
-      fs.removeSync(file)
+    const containedSourceFile = fs.listTreeSync(outputPath).find(isBuildSource)
+    if (containedSourceFile) {
+      latex.log.warning(`${outputPath} will not be removed since it contains the source file ${containedSourceFile}.`)
+      return
+    }
+
+    return outputPath
+  }
+
+  // Returns a function that checks if a file is a source of the build, i.e. the
+  // root file or a source in the file database. If a job has no file database
+  // all files that look like sources are treated as sources.
+  getSourceFileMatcher (builder, jobStates) {
+    const sourceFiles = new Set()
+    const hasFileDatabase = jobStates.every(jobState => jobState.getFileDatabase())
+
+    for (const jobState of jobStates) {
+      const generatedFiles = builder.getFileDatabasePaths(jobState, 'generated', /./)
+      const fdbSourceFiles = builder.getFileDatabasePaths(jobState, 'source', /./)
+        .filter(file => !generatedFiles.includes(file))
+
+      for (const file of [jobState.getFilePath(), jobState.getTexFilePath(), jobState.getKnitrFilePath(), ...fdbSourceFiles]) {
+        if (file) sourceFiles.add(file)
+      }
+    }
+
+    return file => sourceFiles.has(file) || (!hasFileDatabase && SOURCE_FILE_PATTERN.test(file))
+  }
+
+  // Never remove the source files of a build, even if a clean pattern matches
+  // them.
+  excludeSourceFiles (isBuildSource, files) {
+    return files.filter(file => {
+      if (!isBuildSource(file)) return true
+      latex.log.warning(`${file} matches a clean pattern but will not be removed since it is a source file.`)
+      return false
+    })
+  }
+
+  previewClean (filePaths, directoryPaths, basePath) {
+    return new Promise(resolve => {
+      const finish = files => {
+        panel.destroy()
+        view.destroy()
+        resolve(files)
+      }
+      const view = new CleanPreviewView({
+        filePaths,
+        directoryPaths,
+        basePath,
+        moveToTrash: atom.config.get('latex.moveCleanedFilesToTrash'),
+        onDidConfirm: files => finish(files),
+        onDidCancel: () => finish(null)
+      })
+      const panel = atom.workspace.addModalPanel({ item: view, autoFocus: true })
+    })
+  }
+
+  removeFiles (files) {
+    const moveToTrash = atom.config.get('latex.moveCleanedFilesToTrash')
+
+    for (const file of files) {
+      if (!moveToTrash) {
+        fs.removeSync(file)
+      } else if (fs.existsSync(file) && !shell.moveItemToTrash(file)) {
+        latex.log.warning(`Unable to move ${file} to the trash.`)
+      }
     }
   }
 
@@ -573,7 +1370,7 @@ export default class Composer extends Disposable {
       jobState.setOutputFilePath(outputFilePath)
     }
 
-    return outputFilePath
+    return true
   }
 
   async showResult (filePath, lineNumber, jobState) {
@@ -584,9 +1381,9 @@ export default class Composer extends Disposable {
 
   showError (jobState) {
     if (!jobState.getLogMessages()) {
-      latex.log.error('Parsing of log files failed.')
+      latex.log.showMessages([{ type: 'error', text: 'Parsing of log files failed.' }], jobState.getFilePath())
     } else if (!jobState.getOutputFilePath()) {
-      latex.log.error('No output file detected.')
+      latex.log.showMessages([{ type: 'error', text: 'No output file detected.' }], jobState.getFilePath())
     }
   }
 
@@ -14,10 +14,9 @@ export default function checkConfigAndMigrate () {
 
 function checkBuilder () {
   const builder = atom.config.get('latex.builder')
-  if (!builder) return
+  if (builder !== 'texify') return
 
   atom.config.unset('latex.builder')
-  if (builder !== 'texify') return
 
   // --------------------------------------------------
   // TODO: Remove this whole block after a grace period
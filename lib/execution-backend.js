@@ -0,0 +1,118 @@
+/** @babel */
+
+import _ from 'lodash'
+import path from 'path'
+
+// Path mappings have the form `hostPath:containerPath`. The host path may
+// contain a drive letter so the last colon separates the two paths.
+const PATH_MAPPING_PATTERN = /^(.+):([^:]+)$/
+
+// Runs builder commands through a wrapper command such as `docker run` instead
+// of directly on the host. Paths below the mapped host paths are translated to
+// the paths seen by the wrapped command and back again.
+export default class ExecutionBackend {
+  constructor (projectPath) {
+    this.projectPath = projectPath
+    this.wrapper = (atom.config.get('latex.executionWrapper') || '').trim()
+    this.pathMappings = this.isEnabled()
+      ? this.parsePathMappings(atom.config.get('latex.executionPathMappings') || [])
+      : []
+  }
+
+  isEnabled () {
+    return this.wrapper.length > 0
+  }
+
+  parsePathMappings (mappings) {
+    const packagePath = path.resolve(__dirname, '..')
+
+    return _.sortBy(mappings
+      // Without a project there is nothing to map for the project path.
+      .filter(mapping => this.projectPath || !mapping.includes('{projectPath}'))
+      .map(mapping => mapping
+        .replace(/\{projectPath\}/g, this.projectPath)
+        .replace(/\{packagePath\}/g, packagePath)
+        .match(PATH_MAPPING_PATTERN))
+      .filter(match => match)
+      .map(match => ({
+        hostPath: path.resolve(match[1].trim()),
+        containerPath: path.posix.normalize(match[2].trim()).replace(/\/$/, '') || '/'
+      })),
+    // Translate using the most specific mapping first.
+    mapping => -mapping.hostPath.length)
+  }
+
+  // Build the wrapped command. `{command}` is replaced by the command, `{cwd}`
+  // by the working directory as seen by the command and `{volumes}` by a
+  // `-v host:container` option for each path mapping. Environment variables
+  // that differ from the environment of Atom are passed using `env`.
+  wrapCommand (command, cwd, env = {}) {
+    const assignments = _.map(env, (value, name) => `${name}=${this.quote(this.toContainerPathList(String(value)))}`)
+    const wrappedCommand = (assignments.length > 0 ? `env ${assignments.join(' ')} ` : '') + this.toContainerText(command)
+    const values = {
+      command: wrappedCommand,
+      cwd: `"${this.toContainerPath(cwd)}"`,
+      volumes: this.pathMappings.map(({ hostPath, containerPath }) => `-v "${hostPath}:${containerPath}"`).join(' ')
+    }
+
+    if (!this.wrapper.includes('{command}')) {
+      return `${this.wrapper.replace(/\{(cwd|volumes)\}/g, (match, name) => values[name])} ${values.command}`
+    }
+
+    return this.wrapper.replace(/\{(command|cwd|volumes)\}/g, (match, name) => values[name])
+  }
+
+  // Quote a value for the shell of the host so that it is passed unchanged.
+  // The process manager escapes the first `$` of a command, so each `$` is
+  // put in double quotes, where the escaped and the plain `$` are the same.
+  quote (value) {
+    if (process.platform === 'win32') return `"${value.replace(/"/g, '\\"')}"`
+
+    return `'${value.replace(/'/g, "'\\''").replace(/\$/g, `'"$"'`)}'`
+  }
+
+  // Replace every host path in a command line with the corresponding container
+  // path. Only whole path components are replaced.
+  toContainerText (text) {
+    for (const { hostPath, containerPath } of this.pathMappings) {
+      const pattern = new RegExp(`${_.escapeRegExp(hostPath)}((?:[\\\\/][^"\\s]*)?)(?=$|["\\s])`, 'g')
+      text = text.replace(pattern, (match, rest) => containerPath + rest.replace(/\\/g, '/'))
+    }
+    return text
+  }
+
+  // Translate the absolute paths in a path list such as TEXINPUTS. Wrapped
+  // commands are expected to run on a POSIX system.
+  toContainerPathList (value) {
+    return value
+      .split(path.delimiter)
+      .map(item => path.isAbsolute(item) ? this.toContainerPath(item) : item)
+      .join(':')
+  }
+
+  toContainerPath (filePath) {
+    if (!filePath) return filePath
+
+    for (const { hostPath, containerPath } of this.pathMappings) {
+      const relativePath = path.relative(hostPath, filePath)
+      if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+        return path.posix.join(containerPath, ...relativePath.split(path.sep))
+      }
+    }
+
+    return filePath
+  }
+
+  toHostPath (filePath) {
+    if (!filePath || !path.posix.isAbsolute(filePath)) return filePath
+
+    for (const { hostPath, containerPath } of _.sortBy(this.pathMappings, mapping => -mapping.containerPath.length)) {
+      const relativePath = path.posix.relative(containerPath, filePath)
+      if (!relativePath.startsWith('..') && !path.posix.isAbsolute(relativePath)) {
+        return path.join(hostPath, ...relativePath.split('/'))
+      }
+    }
+
+    return filePath
+  }
+}
@@ -0,0 +1,118 @@
+/** @babel */
+
+import fs from 'fs-plus'
+import path from 'path'
+import { findComment } from './werkzeug'
+
+// Commands that are replaced in a single pass so that the inlined text is not
+// processed again.
+const COMMAND_PATTERN = /\\(input|include|subfile|includeonly|bibliography)\s*\{([^}]*)\}/g
+const INCLUDE_ONLY_PATTERN = /\\includeonly\s*\{([^}]*)\}/
+const DOCUMENT_BODY_PATTERN = /\\begin\s*\{document\}\n?([\s\S]*?)\n?\\end\s*\{document\}/
+
+// Inlines the files included by a root file via \input, \include and \subfile
+// to create a single file. Files that are not listed by \includeonly are left
+// out like LaTeX would and the bibliography can be replaced by the .bbl file.
+// Files are read and included files are resolved by the given root resolver.
+export default class Flattener {
+  constructor (rootResolver) {
+    this.rootResolver = rootResolver
+  }
+
+  flatten (rootFilePath, bblFilePath) {
+    const text = this.rootResolver.readFile(rootFilePath)
+    const context = {
+      rootPath: path.dirname(rootFilePath),
+      includeOnly: this.getIncludeOnly(text),
+      bblFilePath,
+      stack: []
+    }
+
+    return this.flattenText(text, rootFilePath, context)
+  }
+
+  // The files listed by \includeonly in the root file, or null if all files
+  // are included.
+  getIncludeOnly (text) {
+    for (const line of text.split('\n')) {
+      const index = findComment(line)
+      const match = (index === -1 ? line : line.slice(0, index)).match(INCLUDE_ONLY_PATTERN)
+      if (match) {
+        return match[1].split(',').map(name => name.trim()).filter(name => name)
+      }
+    }
+
+    return null
+  }
+
+  flattenText (text, filePath, context) {
+    context.stack.push(filePath)
+    const lines = text.split('\n').map((line, lineIndex) => this.flattenLine(line, lineIndex, filePath, context))
+    context.stack.pop()
+
+    return lines.join('\n')
+  }
+
+  // Only the code before a comment is flattened so that commented includes
+  // stay as they are.
+  flattenLine (line, lineIndex, filePath, context) {
+    const index = findComment(line)
+    let code = index === -1 ? line : line.slice(0, index)
+    const comment = index === -1 ? '' : line.slice(index)
+
+    code = code.replace(COMMAND_PATTERN, (match, command, argument, offset) => {
+      const range = [[lineIndex, offset], [lineIndex, offset + match.length]]
+
+      switch (command) {
+        case 'includeonly':
+          return ''
+        case 'bibliography':
+          return context.bblFilePath ? this.inlineBibliography(match, filePath, range, context) : match
+        default:
+          return this.inlineFile(match, command, argument.trim(), filePath, range, context)
+      }
+    })
+
+    return code + comment
+  }
+
+  inlineFile (match, command, name, filePath, range, context) {
+    if (command === 'include' && context.includeOnly && !context.includeOnly.includes(name)) {
+      return ''
+    }
+
+    const includedFilePath = this.rootResolver.resolveIncludedFile(name, path.dirname(filePath), context.rootPath)
+
+    if (!includedFilePath) {
+      latex.log.warning(`Unable to find \`${name}\` so it was not inlined.`, filePath, range)
+      return match
+    }
+
+    if (context.stack.includes(includedFilePath)) {
+      latex.log.warning(`\`${name}\` includes itself so it was not inlined.`, filePath, range)
+      return match
+    }
+
+    const text = this.flattenText(this.rootResolver.readFile(includedFilePath), includedFilePath, context).replace(/\n$/, '')
+
+    switch (command) {
+      case 'include':
+        return `\\clearpage\n${text}\n\\clearpage`
+      case 'subfile':
+        // Only the body of a subfile is part of the main document.
+        const body = text.match(DOCUMENT_BODY_PATTERN)
+        return body ? body[1] : text
+      default:
+        return text
+    }
+  }
+
+  inlineBibliography (match, filePath, range, context) {
+    if (!fs.isFileSync(context.bblFilePath)) {
+      latex.log.warning(`Unable to find ${context.bblFilePath} so the bibliography was not inlined. Build the document first.`, filePath, range)
+      return match
+    }
+
+    return this.rootResolver.readFile(context.bblFilePath).replace(/\n$/, '')
+  }
+}
@@ -1,5 +1,6 @@
 /** @babel */
 
+import BuildHistory from './build-history'
 import Composer from './composer'
 import OpenerRegistry from './opener-registry'
 import ProcessManager from './process-manager'
@@ -23,9 +24,13 @@ export default class Latex extends Disposable {
 
     defineImmutableProperty(this, 'builderRegistry', new BuilderRegistry())
     defineImmutableProperty(this, 'composer', new Composer())
+    defineImmutableProperty(this, 'history', new BuildHistory())
     defineImmutableProperty(this, 'log', new Logger())
     defineImmutableProperty(this, 'opener', new OpenerRegistry())
     defineImmutableProperty(this, 'process', new ProcessManager())
     defineImmutableProperty(this, 'status', new StatusIndicator())
+
+    // Show the raw output of running processes in the log dock.
+    this.disposables.add(this.process.onDidOutput(({ text }) => this.log.appendOutput(text)))
   }
 }
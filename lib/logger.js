@@ -5,6 +5,9 @@ import { CompositeDisposable, Disposable, Emitter } from 'atom'
 import { getEditorDetails } from './werkzeug'
 import LogDock from './views/log-dock'
 
+// Maximum number of characters of raw build output that are kept.
+const MAX_OUTPUT_LENGTH = 1048576
+
 export default class Logger extends Disposable {
   disposables = new CompositeDisposable()
   emitter = new Emitter()
@@ -24,12 +27,17 @@ export default class Logger extends Disposable {
     }))
 
     this.messages = []
+    this.output = ''
   }
 
   onMessages (callback) {
     return this.emitter.on('messages', callback)
   }
 
+  onOutput (callback) {
+    return this.emitter.on('output', callback)
+  }
+
   error (text, filePath, range, logPath, logRange) {
     this.showMessages([{ type: 'error', text, filePath, range, logPath, logRange }])
   }
@@ -42,8 +50,10 @@ export default class Logger extends Disposable {
     this.showMessages([{ type: 'info', text, filePath, range, logPath, logRange }])
   }
 
-  showMessages (messages) {
-    messages = messages.map(message => _.pickBy(message))
+  // Messages of a build are tagged with its root file so that the next build
+  // of the same root file only replaces its own messages.
+  showMessages (messages, root) {
+    messages = messages.map(message => _.pickBy(root ? Object.assign({ root }, message) : message))
     this.messages = this.messages.concat(messages)
 
     const filteredMessages = messages.filter(message => this.messageTypeIsVisible(message.type))
@@ -51,13 +61,43 @@ export default class Logger extends Disposable {
     if (filteredMessages.length > 0) {
       this.emitter.emit('messages', { messages: filteredMessages, reset: false })
     }
+
+    return messages
   }
 
-  clear () {
-    this.messages = []
+  removeMessages (messages) {
+    if (messages.length === 0) return
+
+    this.messages = _.difference(this.messages, messages)
+    this.refresh()
+  }
+
+  // Remove all messages, or only the messages of a root file and the messages
+  // that do not belong to any build, keeping the results of other root files.
+  clear (root) {
+    if (root) {
+      this.messages = this.messages.filter(message => message.root && message.root !== root)
+    } else {
+      this.messages = []
+      this.clearOutput()
+    }
     this.refresh()
   }
 
+  appendOutput (text) {
+    this.output = (this.output + text).slice(-MAX_OUTPUT_LENGTH)
+    this.emitter.emit('output', { text })
+  }
+
+  getOutput () {
+    return this.output
+  }
+
+  clearOutput () {
+    this.output = ''
+    this.emitter.emit('output', { reset: true })
+  }
+
   refresh () {
     this.emitter.emit('messages', { messages: this.getMessages(), reset: true })
   }
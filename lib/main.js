@@ -10,18 +10,30 @@ export default {
       latex.log.setMessages(serialized.messages)
     }
 
+    if (serialized && serialized.history) {
+      latex.history.deserialize(serialized.history)
+    }
+
     this.disposables.add(atom.commands.add('atom-workspace', {
       'latex:build': () => latex.composer.build(false),
       'latex:check-runtime': () => this.checkRuntime(),
       'latex:clean': () => latex.composer.clean(),
+      'latex:clean-all': () => latex.composer.clean('all'),
+      'latex:clear-history': () => latex.history.clear(),
       'latex:clear-log': () => latex.log.clear(),
+      'latex:export-submission': () => latex.composer.exportSubmission(),
+      'latex:flatten': () => latex.composer.flatten(),
       'latex:hide-log': () => latex.log.hide(),
       'latex:kill': () => latex.composer.kill(),
       'latex:rebuild': () => latex.composer.build(true),
+      'latex:select-profile': () => latex.composer.selectProfile(),
+      'latex:show-build-state': () => latex.composer.showBuildState(),
       'latex:show-log': () => latex.log.show(),
       'latex:sync-log': () => latex.log.sync(),
       'latex:sync': () => latex.composer.sync(),
-      'latex:toggle-log': () => latex.log.toggle()
+      'latex:toggle-continuous': () => latex.composer.toggleContinuous(),
+      'latex:toggle-log': () => latex.log.toggle(),
+      'latex:word-count': () => latex.composer.countWords()
     }))
 
     this.disposables.add(atom.workspace.observeTextEditors(editor => {
@@ -29,7 +41,7 @@ export default {
         // Let's play it safe; only trigger builds for the active editor.
         const activeEditor = atom.workspace.getActiveTextEditor()
         if (editor === activeEditor && atom.config.get('latex.buildOnSave')) {
-          latex.composer.build(false, false)
+          latex.composer.build(false, false, atom.config.get('latex.buildOnSaveDelay'))
         }
       }))
     }))
@@ -55,7 +67,10 @@ export default {
   },
 
   serialize () {
-    return { messages: latex.log.getMessages(false) }
+    return {
+      messages: latex.log.getMessages(false),
+      history: latex.history.serialize()
+    }
   },
 
   consumeStatusBar (statusBar) {
@@ -68,6 +83,24 @@ export default {
     })
   },
 
+  provideBuilders () {
+    this.bootstrap()
+    const Builder = require('./builder')
+    return {
+      Builder,
+      registerBuilder: (name, BuilderImpl) => latex.builderRegistry.registerBuilder(name, BuilderImpl)
+    }
+  },
+
+  provideOpeners () {
+    this.bootstrap()
+    const Opener = require('./opener')
+    return {
+      Opener,
+      registerOpener: (name, opener) => latex.opener.registerOpener(name, opener)
+    }
+  },
+
   deserializeLog (serialized) {
     this.bootstrap()
     const LogDock = require('./views/log-dock')
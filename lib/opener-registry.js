@@ -1,9 +1,12 @@
 /** @babel */
 
 import _ from 'lodash'
+import fs from 'fs-plus'
 import path from 'path'
 import { CompositeDisposable, Disposable } from 'atom'
 
+const OPENER_MODULE_PATTERN = /^(.+)-opener\.js$/
+
 export default class OpenerRegistry extends Disposable {
   openers = new Map()
   disposables = new CompositeDisposable()
@@ -13,17 +16,48 @@ export default class OpenerRegistry extends Disposable {
     this.initializeOpeners()
   }
 
-  initializeOpeners () {
+  registerOpener (name, opener) {
+    if (this.openers.has(name)) {
+      throw new Error(`An opener named "${name}" is already registered.`)
+    }
+
+    this.openers.set(name, opener)
+    this.updateOpenerSchema(name, true)
+
+    // Registrations are also disposed with the registry so that the opener
+    // schema does not retain names of openers that are no longer available.
+    const disposable = new Disposable(() => {
+      this.disposables.remove(disposable)
+      if (this.openers.get(name) === opener) {
+        this.openers.delete(name)
+        this.updateOpenerSchema(name, false)
+      }
+    })
+    this.disposables.add(disposable)
+
+    return disposable
+  }
+
+  updateOpenerSchema (name, isRegistered) {
+    // Registered openers are added to the choices in the settings view so they
+    // can be explicitly selected by the user. The custom opener is kept at the
+    // end of the list.
     const schema = atom.config.getSchema('latex.opener')
+    const names = schema.enum.filter(item => item !== name && item !== 'custom')
+    if (isRegistered) names.push(name)
+    if (schema.enum.includes('custom')) names.push('custom')
+    atom.config.setSchema('latex.opener', Object.assign({}, schema, { enum: names }))
+  }
+
+  initializeOpeners () {
     const dir = path.join(__dirname, 'openers')
-    const ext = '.js'
-    for (const openerName of schema.enum) {
-      if (openerName !== 'automatic') {
-        const name = `${openerName}-opener`
-        const OpenerImpl = require(path.format({ dir, name, ext }))
+    for (const entry of fs.readdirSync(dir)) {
+      const match = entry.match(OPENER_MODULE_PATTERN)
+      if (match) {
+        const OpenerImpl = require(path.join(dir, entry))
         const opener = new OpenerImpl()
         this.disposables.add(opener)
-        this.openers.set(openerName, opener)
+        this.openers.set(match[1], opener)
       }
     }
   }
@@ -0,0 +1,73 @@
+/** @babel */
+
+// tlmgr lists each package followed by the matching files, indented by a tab.
+const PACKAGE_PATTERN = /^(\S+):$/
+const PACKAGE_FILE_PATTERN = /^\s+(\S.*)$/
+
+// Finds the package that provides a file that TeX could not find and installs
+// it with tlmgr for TeX Live, or with mpm for MiKTeX. The commands are run
+// by a builder so that latex.texPath and the execution backend of the builds
+// are used.
+export default class PackageInstaller {
+  // Find the path of a file that is already installed, or null.
+  async locateFile (fileName, builder, options, jobState) {
+    const { statusCode, stdout } = await builder.executeChildProcess(`kpsewhich "${fileName}"`, options, jobState)
+    return (statusCode === 0 && stdout.trim()) || null
+  }
+
+  // Search the TeX Live repository for the packages that contain the file.
+  // Returns null if tlmgr is not available.
+  async searchPackages (fileName, builder, options, jobState) {
+    const { statusCode, stdout } = await builder.executeChildProcess(`tlmgr search --global --file "/${fileName}"`, options, jobState)
+    if (statusCode !== 0) return null
+
+    return this.parseSearchOutput(stdout, fileName)
+  }
+
+  parseSearchOutput (output, fileName) {
+    const packages = []
+    let packageName = null
+
+    for (const line of output.replace(/(\r\n)|\r/g, '\n').split('\n')) {
+      const packageMatch = line.match(PACKAGE_PATTERN)
+      if (packageMatch) {
+        packageName = packageMatch[1]
+        continue
+      }
+
+      // The search matches substrings, so check that the name of the file is
+      // the same.
+      const fileMatch = line.match(PACKAGE_FILE_PATTERN)
+      if (packageName && fileMatch && fileMatch[1].trim().split('/').pop() === fileName &&
+        !packages.includes(packageName)) {
+        packages.push(packageName)
+      }
+    }
+
+    return packages
+  }
+
+  getInstallCommand (manager, packageName) {
+    return manager === 'mpm'
+      ? `mpm --install="${packageName}"`
+      : `tlmgr install "${packageName}"`
+  }
+
+  async install (manager, packageName, builder, options, jobState) {
+    const command = this.getInstallCommand(manager, packageName)
+    const { statusCode, stderr } = await builder.executeChildProcess(command, options, jobState)
+
+    if (statusCode === 127) {
+      latex.log.error(`${manager} was not found. Make sure it is installed and latex.texPath is configured correctly.`)
+      return false
+    }
+
+    if (statusCode !== 0) {
+      const errorOutput = stderr ? ` and output of "${stderr.trim()}"` : ''
+      latex.log.error(`Installing ${packageName} with ${manager} failed with status code ${statusCode}${errorOutput}.`)
+      return false
+    }
+
+    return true
+  }
+}
@@ -1,6 +1,7 @@
 /** @babel */
 
 import fs from 'fs-plus'
+import path from 'path'
 
 export default class Parser {
   constructor (filePath) {
@@ -19,4 +20,33 @@ export default class Parser {
     const lines = rawFile.replace(/(\r\n)|\r/g, '\n').split('\n')
     return lines
   }
+
+  // The range of a whole line of a source file, given the zero-based index of
+  // the line.
+  createLineRange (lineIndex) {
+    return [[lineIndex, 0], [lineIndex, Number.MAX_SAFE_INTEGER]]
+  }
+
+  // Absolute paths written by a build that was run by an execution backend are
+  // POSIX paths of the container. They are translated to host paths by the
+  // builder, so they are not resolved against the drive of a Windows host.
+  resolvePath (directoryPath, filePath) {
+    return path.posix.isAbsolute(filePath)
+      ? path.posix.normalize(filePath)
+      : path.resolve(directoryPath, filePath)
+  }
+
+  // Resolve a file named in the log of a tool that may be run in the output
+  // directory, so the directory of the log file is searched before the
+  // project directory of the parser.
+  resolveSourcePath (filePath, ext) {
+    if (ext && !path.extname(filePath)) filePath += ext
+
+    const candidates = [
+      this.resolvePath(path.dirname(this.filePath), filePath),
+      this.resolvePath(this.projectPath, filePath)
+    ]
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[1]
+  }
 }
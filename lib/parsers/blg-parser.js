@@ -0,0 +1,178 @@
+/** @babel */
+
+import _ from 'lodash'
+import fs from 'fs-plus'
+import path from 'path'
+import Parser from '../parser.js'
+
+// BibTeX patterns
+const BIBTEX_DATABASE_PATTERN = /^Database file #\d+: (.*)$/
+const BIBTEX_WARNING_PATTERN = /^Warning--(.*)$/
+const BIBTEX_WARNING_LOCATION_PATTERN = /^--line (\d+) of file (.*)$/
+const BIBTEX_ERROR_LOCATION_PATTERN = /^(.*)---line (\d+) of file (.*)$/
+const BIBTEX_FILE_ERROR_PATTERN = /^I couldn't open (?:database|style|auxiliary) file (.*)$/
+const BIBTEX_MISSING_COMMAND_PATTERN = /^(I found no .*)---while reading file (.*)$/
+const BIBTEX_ENTRY_KEY_PATTERN = / in (\S+)$/
+
+// Biber patterns
+const BIBER_MESSAGE_PATTERN = /^\[\d+\] [^>]+> (INFO|WARN|ERROR) - (.*)$/
+const BIBER_DATA_SOURCE_PATTERN = /^Found BibTeX data source '(.*)'$/
+const BIBER_SUBSYSTEM_PATTERN = /^BibTeX subsystem: (.*?)_\d+\.utf8, line (\d+), (.*)$/
+const BIBER_ENTRY_PATTERN = /Entry '([^']+)' \(([^)]+)\)/
+const BIBER_MISSING_FILE_PATTERN = /^Cannot find '(.*)'!$/
+
+const BIBER_TYPES = {
+  WARN: 'warning',
+  ERROR: 'error'
+}
+
+export default class BlgParser extends Parser {
+  constructor (filePath, texFilePath) {
+    super(filePath)
+    this.texFilePath = texFilePath
+    this.projectPath = path.dirname(texFilePath)
+  }
+
+  parse () {
+    const lines = this.getLines()
+    const messages = lines[0] && lines[0].startsWith('This is BibTeX')
+      ? this.parseBibtex(lines)
+      : this.parseBiber(lines)
+
+    return {
+      logFilePath: this.filePath,
+      messages
+    }
+  }
+
+  parseBibtex (lines) {
+    const messages = []
+    const databasePaths = []
+
+    lines.forEach((line, index) => {
+      let match = line.match(BIBTEX_DATABASE_PATTERN)
+      if (match) {
+        databasePaths.push(this.resolveSourcePath(match[1], '.bib'))
+        return
+      }
+
+      match = line.match(BIBTEX_WARNING_PATTERN)
+      if (match) {
+        const locationMatch = (lines[index + 1] || '').match(BIBTEX_WARNING_LOCATION_PATTERN)
+        const message = this.createMessage('warning', match[1], index, locationMatch ? index + 1 : index)
+        if (locationMatch) {
+          message.filePath = this.resolveSourcePath(locationMatch[2], '.bib')
+          message.range = this.createLineRange(parseInt(locationMatch[1], 10) - 1)
+        } else {
+          const keyMatch = match[1].match(BIBTEX_ENTRY_KEY_PATTERN)
+          if (keyMatch) this.locateEntry(message, keyMatch[1], databasePaths)
+        }
+        messages.push(message)
+        return
+      }
+
+      match = line.match(BIBTEX_ERROR_LOCATION_PATTERN)
+      if (match) {
+        // Some errors are reported on the line before the location, i.e.
+        // "I couldn't open database file foo.bib".
+        const startIndex = match[1] ? index : index - 1
+        const text = match[1] || lines[index - 1] || ''
+        const message = this.createMessage('error', text, startIndex, index)
+        message.filePath = this.resolveSourcePath(match[3])
+        message.range = this.createLineRange(parseInt(match[2], 10) - 1)
+        messages.push(message)
+        return
+      }
+
+      match = line.match(BIBTEX_MISSING_COMMAND_PATTERN)
+      if (match) {
+        const message = this.createMessage('error', match[1], index, index)
+        message.filePath = this.resolveSourcePath(match[2])
+        messages.push(message)
+        return
+      }
+
+      match = line.match(BIBTEX_FILE_ERROR_PATTERN)
+      if (match && !(lines[index + 1] || '').match(BIBTEX_ERROR_LOCATION_PATTERN)) {
+        messages.push(this.createMessage('error', line, index, index))
+      }
+    })
+
+    return messages
+  }
+
+  parseBiber (lines) {
+    const messages = []
+    const databasePaths = []
+
+    lines.forEach((line, index) => {
+      const match = line.match(BIBER_MESSAGE_PATTERN)
+      if (!match) return
+
+      const text = match[2]
+
+      // Biber reports its progress as info messages, which are only used to
+      // find the database files.
+      const dataSourceMatch = text.match(BIBER_DATA_SOURCE_PATTERN)
+      if (dataSourceMatch) {
+        databasePaths.push(this.resolveSourcePath(dataSourceMatch[1], '.bib'))
+      }
+
+      if (!BIBER_TYPES[match[1]]) return
+
+      const message = this.createMessage(BIBER_TYPES[match[1]], text, index, index)
+
+      const subsystemMatch = text.match(BIBER_SUBSYSTEM_PATTERN)
+      if (subsystemMatch) {
+        // Biber reports the line in a temporary copy of the database which is
+        // named after the original file.
+        const name = path.basename(subsystemMatch[1])
+        message.filePath = databasePaths.find(databasePath => path.basename(databasePath) === name) ||
+          this.resolveSourcePath(name, '.bib')
+        message.range = this.createLineRange(parseInt(subsystemMatch[2], 10) - 1)
+        message.text = subsystemMatch[3]
+      }
+
+      const entryMatch = text.match(BIBER_ENTRY_PATTERN)
+      if (entryMatch && !message.filePath) {
+        this.locateEntry(message, entryMatch[1], [this.resolveSourcePath(entryMatch[2], '.bib')])
+      }
+
+      const missingFileMatch = text.match(BIBER_MISSING_FILE_PATTERN)
+      if (missingFileMatch) {
+        message.text = `Cannot find '${missingFileMatch[1]}'`
+      }
+
+      messages.push(message)
+    })
+
+    return messages
+  }
+
+  createMessage (type, text, startIndex, endIndex) {
+    return {
+      type,
+      text: text.trim(),
+      logPath: this.filePath,
+      logRange: [[startIndex, 0], [endIndex, Number.MAX_SAFE_INTEGER]]
+    }
+  }
+
+  // Find the line of an entry in the database files when the message only
+  // mentions the entry key.
+  locateEntry (message, key, databasePaths) {
+    const entryPattern = new RegExp(`^\\s*@\\w+\\s*[{(]\\s*${_.escapeRegExp(key)}\\s*,`)
+
+    for (const databasePath of databasePaths) {
+      if (!fs.existsSync(databasePath)) continue
+
+      const lines = fs.readFileSync(databasePath, { encoding: 'utf-8' }).split(/\r?\n/)
+      const lineIndex = lines.findIndex(line => entryPattern.test(line))
+      if (lineIndex !== -1) {
+        message.filePath = databasePath
+        message.range = this.createLineRange(lineIndex)
+        return
+      }
+    }
+  }
+}
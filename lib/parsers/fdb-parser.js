@@ -5,6 +5,9 @@ import Parser from '../parser.js'
 const SECTION_PATTERN = /^\["([^"]+)"]/
 const GROUP_PATTERN = /^\s+\(([^)]+)\)/
 const FILE_PATTERN = /^\s+"([^"]*)"/
+// Source files are followed by their timestamp, size, MD5 checksum and the
+// rule that generated them. Missing files are recorded as `0 -1 0`.
+const FILE_DETAILS_PATTERN = /^\s+"[^"]*"\s+(\S+)\s+(-?\d+)\s+(\S+)\s+"([^"]*)"/
 
 export default class FdbParser extends Parser {
   parse () {
@@ -16,7 +19,7 @@ export default class FdbParser extends Parser {
       const sectionMatch = line.match(SECTION_PATTERN)
       if (sectionMatch) {
         section = sectionMatch[1]
-        results[section] = {}
+        results[section] = { files: {} }
         group = 'source'
         results[section][group] = []
         continue
@@ -38,6 +41,16 @@ export default class FdbParser extends Parser {
       const fileMatch = line.match(FILE_PATTERN)
       if (fileMatch) {
         results[section][group].push(fileMatch[1])
+
+        const detailsMatch = line.match(FILE_DETAILS_PATTERN)
+        if (detailsMatch) {
+          results[section].files[fileMatch[1]] = {
+            time: parseFloat(detailsMatch[1]),
+            size: parseInt(detailsMatch[2], 10),
+            checksum: detailsMatch[3],
+            rule: detailsMatch[4]
+          }
+        }
       }
     }
 
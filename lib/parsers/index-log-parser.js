@@ -0,0 +1,144 @@
+/** @babel */
+
+import _ from 'lodash'
+import fs from 'fs-plus'
+import path from 'path'
+import Parser from '../parser.js'
+
+// makeindex patterns. Each message header is followed by a line starting with
+// `--` that contains the actual message text.
+const MAKEINDEX_ERROR_PATTERN = /^(?:!!|\*\*) Input (index|style) error \(file = (.*), line = (\d+)\):$/
+const MAKEINDEX_WARNING_PATTERN = /^## Warning \(input = (.*), line = (\d+); output = .*, line = \d+\):$/
+const MAKEINDEX_TEXT_PATTERN = /^\s+-- (.*)$/
+
+// xindy patterns
+const XINDY_MESSAGE_PATTERN = /^(?:WARNING|ERROR): (.*)$/
+
+// Pattern for index entries in the raw index file, i.e. `\indexentry{foo}{1}`.
+const INDEX_ENTRY_PATTERN = /^\\indexentry\{/
+
+export default class IndexLogParser extends Parser {
+  constructor (filePath, texFilePath, sourcePaths) {
+    super(filePath)
+    this.texFilePath = texFilePath
+    this.projectPath = path.dirname(texFilePath)
+    this.sourcePaths = sourcePaths || [texFilePath]
+  }
+
+  parse () {
+    const lines = this.getLines()
+    const messages = []
+    let index = 0
+
+    while (index < lines.length) {
+      const message = this.parseMakeindexMessage(lines, index) || this.parseXindyMessage(lines, index)
+      if (message) {
+        messages.push(message)
+        index = message.logRange[1][0] + 1
+      } else {
+        index++
+      }
+    }
+
+    return {
+      logFilePath: this.filePath,
+      messages
+    }
+  }
+
+  parseMakeindexMessage (lines, index) {
+    let filePath, lineNumber, isStyleError
+
+    let match = lines[index].match(MAKEINDEX_ERROR_PATTERN)
+    if (match) {
+      isStyleError = match[1] === 'style'
+      filePath = match[2]
+      lineNumber = parseInt(match[3], 10)
+    } else {
+      match = lines[index].match(MAKEINDEX_WARNING_PATTERN)
+      if (!match) return
+      filePath = match[1]
+      lineNumber = parseInt(match[2], 10)
+    }
+
+    const textMatch = (lines[index + 1] || '').match(MAKEINDEX_TEXT_PATTERN)
+    const endIndex = textMatch ? index + 1 : index
+    const message = this.createMessage(textMatch ? textMatch[1] : lines[index], index, endIndex)
+
+    const resolvedPath = this.resolveSourcePath(filePath)
+    message.filePath = resolvedPath
+    message.range = this.createLineRange(lineNumber - 1)
+
+    // Rejected entries are reported in the raw index file, so look for the
+    // \index command that wrote the entry to report the message there.
+    if (!isStyleError) this.locateEntry(message, resolvedPath, lineNumber - 1)
+
+    return message
+  }
+
+  parseXindyMessage (lines, index) {
+    const match = lines[index].match(XINDY_MESSAGE_PATTERN)
+    if (!match) return
+
+    // xindy indents the continuation lines of long messages.
+    let endIndex = index
+    while (endIndex + 1 < lines.length && /^\s+\S/.test(lines[endIndex + 1])) {
+      endIndex++
+    }
+
+    const text = [match[1]].concat(lines.slice(index + 1, endIndex + 1)).join(' ')
+    return this.createMessage(text, index, endIndex)
+  }
+
+  createMessage (text, startIndex, endIndex) {
+    return {
+      type: 'warning',
+      text: text.trim().replace(/\s+/g, ' '),
+      logPath: this.filePath,
+      logRange: [[startIndex, 0], [endIndex, Number.MAX_SAFE_INTEGER]]
+    }
+  }
+
+  locateEntry (message, indexFilePath, lineIndex) {
+    if (!fs.existsSync(indexFilePath)) return
+
+    const line = fs.readFileSync(indexFilePath, { encoding: 'utf-8' }).split(/\r?\n/)[lineIndex] || ''
+    if (!INDEX_ENTRY_PATTERN.test(line)) return
+
+    const entry = this.getArgument(line, line.indexOf('{'))
+    if (!entry) return
+
+    // The entry may have been written by any of the index commands, i.e.
+    // \index, \sindex or \index[names].
+    const commandPattern = new RegExp(`\\\\\\w*index(?:\\[[^\\]]*\\])?\\{${_.escapeRegExp(entry)}\\}`)
+
+    for (const sourcePath of this.sourcePaths) {
+      if (!fs.existsSync(sourcePath)) continue
+
+      const lines = fs.readFileSync(sourcePath, { encoding: 'utf-8' }).split(/\r?\n/)
+      for (let sourceIndex = 0; sourceIndex < lines.length; sourceIndex++) {
+        const match = lines[sourceIndex].match(commandPattern)
+        if (match) {
+          message.filePath = sourcePath
+          message.range = [[sourceIndex, match.index], [sourceIndex, match.index + match[0].length]]
+          return
+        }
+      }
+    }
+  }
+
+  // Return the contents of the braced argument starting at `start`, taking
+  // nested braces into account.
+  getArgument (line, start) {
+    let depth = 0
+    for (let index = start; index < line.length; index++) {
+      if (line[index] === '\\') {
+        index++
+      } else if (line[index] === '{') {
+        depth++
+      } else if (line[index] === '}' && --depth === 0) {
+        return line.substring(start + 1, index)
+      }
+    }
+  }
+}
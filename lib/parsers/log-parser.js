@@ -1,5 +1,6 @@
 /** @babel */
 
+import _ from 'lodash'
 import Parser from '../parser.js'
 import path from 'path'
 
@@ -32,12 +33,32 @@ const WARNING_INFO_PATTERN = new RegExp('' +
   '(?: on input line (\\d+))?\\.$'                    // Line number
 )
 
+// Pattern for the first line of a warning or info message, which may continue
+// on the following lines.
+const WARNING_INFO_START_PATTERN = new RegExp('' +
+  '^(?:(?:Class|Package) (\\S+)|LaTeX( Font)?) ' + // Message origin
+  '(?:Warning|Info):'                              // Message type
+)
+
+// Pattern for errors about files that TeX could not find, i.e. a package or
+// class that is not installed.
+const MISSING_FILE_PATTERN = /^(?:File `([^']+)' not found|I can't find file `([^']+)')$/
+
+// Pattern for the context line of an error, i.e. `l.123 \foo`. The text
+// following the line number is the source text read before the error.
+const CONTEXT_PATTERN = /^l\.(\d+) (.*)$/
+
 /* eslint-enable no-multi-spaces */
 
-// Pattern for font messages that overflow onto the next line. We do not capture
-// anything from the match, but we need to know where the error message is
-// located in the log file.
-const INCOMPLETE_FONT_PATTERN = /^LaTeX Font .*[^.]$/
+// Number of lines after an error message to look for the context line.
+const MAX_CONTEXT_DISTANCE = 12
+
+// Maximum number of lines that a single message may span.
+const MAX_CONTINUATION_LINES = 20
+
+// TeX's default value of max_print_line. Longer lines are wrapped onto the
+// next line.
+const DEFAULT_MAX_PRINT_LINE = 79
 
 // Pattern for \input markers which are surrounded by parentheses.
 const INPUT_FILE_PATTERN = /(\([^()[]+|\))/g
@@ -46,13 +67,18 @@ const INPUT_FILE_PATTERN = /(\([^()[]+|\))/g
 const INPUT_FILE_TRIM_PATTERN = /(^\([\s"]*|[\s"]+$)/g
 
 export default class LogParser extends Parser {
-  constructor (filePath, texFilePath) {
+  constructor (filePath, texFilePath, maxPrintLine = DEFAULT_MAX_PRINT_LINE) {
     super(filePath)
     this.texFilePath = texFilePath
+    this.maxPrintLine = maxPrintLine
     this.projectPath = path.dirname(texFilePath)
   }
 
   parse () {
+    return this.parseLines(this.getLines())
+  }
+
+  parseLines (lines) {
     const result = {
       logFilePath: this.filePath,
       outputFilePath: null,
@@ -60,77 +86,216 @@ export default class LogParser extends Parser {
     }
     const sourcePaths = [this.texFilePath]
 
-    const lines = this.getLines()
-    lines.forEach((line, index) => {
-      // Ignore the first line because it has some confusing patterns
-      if (index === 0) return
-
-      // Simplest Thing That Works™ and KISS®
-      const logRange = [[index, 0], [index, line.length]]
-      let match = line.match(OUTPUT_PATTERN)
-      if (match) {
-        const filePath = match[1].replace(/"/g, '') // TODO: Fix with improved regex.
-        result.outputFilePath = path.resolve(this.projectPath, filePath)
-        return
-      }
+    // Ignore the first line because it has some confusing patterns
+    let index = 1
 
-      match = line.match(ERROR_PATTERN)
-      if (match) {
-        const lineNumber = match[2] ? parseInt(match[2], 10) : undefined
-        result.messages.push({
-          type: 'error',
-          text: (match[3] && match[3] !== 'LaTeX') ? match[3] + ': ' + match[4] : match[4],
-          filePath: match[1] ? path.resolve(this.projectPath, match[1]) : sourcePaths[0],
-          range: lineNumber ? [[lineNumber - 1, 0], [lineNumber - 1, Number.MAX_SAFE_INTEGER]] : undefined,
-          logPath: this.filePath,
-          logRange: logRange
-        })
-        return
-      }
+    while (index < lines.length) {
+      index = this.parseLine(lines, index, result, sourcePaths) + 1
+    }
+
+    return result
+  }
+
+  // Parse the output path or the message that starts at a line and update the
+  // source paths. Returns the index of the last line that was parsed.
+  parseLine (lines, index, result, sourcePaths) {
+    const line = lines[index]
+
+    let match = line.match(OUTPUT_PATTERN)
+    if (match) {
+      const filePath = match[1].replace(/"/g, '') // TODO: Fix with improved regex.
+      result.outputFilePath = this.resolvePath(this.projectPath, filePath)
+      return index
+    }
 
-      match = line.match(BOX_PATTERN)
-      if (match) {
-        result.messages.push({
-          type: 'warning',
-          text: match[1],
-          filePath: sourcePaths[0],
-          range: [[parseInt(match[2], 10) - 1, 0], [parseInt(match[3], 10) - 1, Number.MAX_SAFE_INTEGER]],
-          logPath: this.filePath,
-          logRange: logRange
-        })
-        return
+    // Errors and box messages are followed by TeX generated context which
+    // should not be used to track input files.
+    const block = this.parseError(lines, index, sourcePaths) || this.parseBox(lines, index, sourcePaths)
+    if (block) {
+      result.messages.push(block.message)
+      return block.endIndex
+    }
+
+    let endIndex = index
+    const warning = this.parseWarningInfo(lines, index, sourcePaths)
+    if (warning) {
+      result.messages.push(warning.message)
+      endIndex = warning.endIndex
+    }
+
+    // Keep a stack of source paths indicated by input parentheses. We may
+    // capture phrases that are enclosed in parathesis that are not paths, but
+    // this should ignored safely since the closing paratheses will pop the
+    // path right back off of the source path stack.
+    for (let lineIndex = index; lineIndex <= endIndex; lineIndex++) {
+      this.updateSourcePaths(lines[lineIndex], sourcePaths)
+    }
+
+    return endIndex
+  }
+
+  isWarningInfoStart (line) {
+    return WARNING_INFO_START_PATTERN.test(line)
+  }
+
+  parseError (lines, index, sourcePaths) {
+    const match = lines[index].match(ERROR_PATTERN)
+    if (!match) return
+
+    let lineNumber = match[2] ? parseInt(match[2], 10) : undefined
+    let endIndex = index
+    let snippet
+
+    // Look for the context line which gives the line number when
+    // -file-line-error is not available and the offending source text.
+    const lastIndex = Math.min(lines.length - 1, index + MAX_CONTEXT_DISTANCE)
+    for (let contextIndex = index + 1; contextIndex <= lastIndex; contextIndex++) {
+      const line = lines[contextIndex]
+      if (ERROR_PATTERN.test(line) || WARNING_INFO_START_PATTERN.test(line)) break
+
+      const contextMatch = line.match(CONTEXT_PATTERN)
+      if (contextMatch) {
+        if (!lineNumber) lineNumber = parseInt(contextMatch[1], 10)
+
+        // The line following the context line contains the source text that
+        // was not read yet. It is indented and may be empty.
+        const remainder = lines[contextIndex + 1] || ''
+        snippet = (contextMatch[2] + remainder.trim()).trim()
+
+        // Any help text is terminated by an empty line.
+        endIndex = Math.min(lines.length - 1, contextIndex + 1)
+        while (endIndex + 1 < lines.length && lines[endIndex + 1].trim() &&
+          endIndex - index < MAX_CONTINUATION_LINES) {
+          endIndex++
+        }
+        break
       }
+    }
 
-      match = (INCOMPLETE_FONT_PATTERN.test(line) ? line + lines[index + 1].substring(15) : line).match(WARNING_INFO_PATTERN)
-      if (match) {
-        const lineNumber = match[4] ? parseInt(match[4], 10) : undefined
-        result.messages.push({
-          type: match[2].toLowerCase(),
-          text: ((match[1] !== 'LaTeX') ? match[1] + ': ' + match[3] : match[3]).replace(/\s+/g, ' '),
-          filePath: sourcePaths[0],
-          range: lineNumber ? [[lineNumber - 1, 0], [lineNumber - 1, Number.MAX_SAFE_INTEGER]] : undefined,
-          logPath: this.filePath,
-          logRange: logRange
-        })
+    // Errors about missing files keep the name of the file so that the package
+    // that provides it can be installed.
+    const missingFileMatch = match[4].match(MISSING_FILE_PATTERN)
+
+    return {
+      endIndex,
+      message: this.createMessage(lines, index, endIndex, {
+        type: 'error',
+        text: (match[3] && match[3] !== 'LaTeX') ? match[3] + ': ' + match[4] : match[4],
+        filePath: match[1] ? this.resolvePath(this.projectPath, match[1]) : sourcePaths[0],
+        range: lineNumber ? [[lineNumber - 1, 0], [lineNumber - 1, Number.MAX_SAFE_INTEGER]] : undefined,
+        snippet,
+        missingFile: missingFileMatch ? missingFileMatch[1] || missingFileMatch[2] : undefined
+      })
+    }
+  }
+
+  parseBox (lines, index, sourcePaths) {
+    const match = lines[index].match(BOX_PATTERN)
+    if (!match) return
+
+    // The box contents are listed on the following lines until an empty line.
+    let endIndex = index
+    const lastIndex = Math.min(lines.length - 1, index + MAX_CONTINUATION_LINES)
+    for (let contentIndex = index + 1; contentIndex <= lastIndex; contentIndex++) {
+      if (!lines[contentIndex].trim()) {
+        endIndex = contentIndex - 1
+        break
       }
+    }
 
-      // Keep a stack of source paths indicated by input parentheses. We may
-      // capture phrases that are enclosed in parathesis that are not paths, but
-      // this should ignored safely since the closing paratheses will pop the
-      // path right back off of the source path stack.
-      match = line.match(INPUT_FILE_PATTERN)
-      if (match) {
-        for (const token of match) {
-          if (token === ')') {
-            // Avoid popping texFilePath off of the stack.
-            if (sourcePaths.length > 1) sourcePaths.shift()
-          } else {
-            sourcePaths.unshift(path.resolve(this.projectPath, token.replace(INPUT_FILE_TRIM_PATTERN, '')))
-          }
-        }
+    return {
+      endIndex,
+      message: this.createMessage(lines, index, endIndex, {
+        type: 'warning',
+        text: match[1],
+        filePath: sourcePaths[0],
+        range: [[parseInt(match[2], 10) - 1, 0], [parseInt(match[3], 10) - 1, Number.MAX_SAFE_INTEGER]]
+      })
+    }
+  }
+
+  parseWarningInfo (lines, index, sourcePaths) {
+    const startMatch = lines[index].match(WARNING_INFO_START_PATTERN)
+    if (!startMatch) return
+
+    // Continuation lines of package and class messages are prefixed with the
+    // package or class name in parentheses, font messages with `(Font)` and
+    // other LaTeX messages with spaces.
+    let continuationPattern
+    if (startMatch[1]) {
+      continuationPattern = new RegExp(`^\\(${_.escapeRegExp(startMatch[1])}\\)\\s*`)
+    } else if (startMatch[2]) {
+      continuationPattern = /^\(Font\)\s*/
+    } else {
+      continuationPattern = /^\s+(?=\S)/
+    }
+
+    let text = lines[index]
+    let endIndex = index
+
+    while (endIndex + 1 < lines.length && endIndex - index < MAX_CONTINUATION_LINES) {
+      const nextLine = lines[endIndex + 1]
+      const isComplete = text.endsWith('.')
+
+      if (continuationPattern.test(nextLine) && (startMatch[1] || startMatch[2] || !isComplete)) {
+        text += ' ' + nextLine.replace(continuationPattern, '')
+      } else if (!isComplete && nextLine && this.isWrappedLine(lines[endIndex])) {
+        text += nextLine
+      } else {
+        break
       }
+
+      endIndex++
+    }
+
+    const match = text.match(WARNING_INFO_PATTERN)
+    if (!match) return
+
+    const lineNumber = match[4] ? parseInt(match[4], 10) : undefined
+
+    return {
+      endIndex,
+      message: this.createMessage(lines, index, endIndex, {
+        type: match[2].toLowerCase(),
+        text: ((match[1] !== 'LaTeX') ? match[1] + ': ' + match[3] : match[3]).replace(/\s+/g, ' '),
+        filePath: sourcePaths[0],
+        range: lineNumber ? [[lineNumber - 1, 0], [lineNumber - 1, Number.MAX_SAFE_INTEGER]] : undefined
+      })
+    }
+  }
+
+  // TeX wraps lines once they reach max_print_line. Depending on the engine
+  // the length is counted in bytes or in characters.
+  isWrappedLine (line) {
+    return line.length === this.maxPrintLine || Buffer.byteLength(line) === this.maxPrintLine
+  }
+
+  createMessage (lines, startIndex, endIndex, properties) {
+    const message = Object.assign(properties, {
+      logPath: this.filePath,
+      logRange: [[startIndex, 0], [endIndex, lines[endIndex].length]]
     })
 
-    return result
+    // Keep the complete text of messages that span multiple lines so that it
+    // can be shown in the log.
+    if (endIndex > startIndex) {
+      message.details = lines.slice(startIndex, endIndex + 1).join('\n')
+    }
+
+    return _.pickBy(message, value => value !== undefined)
+  }
+
+  updateSourcePaths (line, sourcePaths) {
+    const match = line.match(INPUT_FILE_PATTERN)
+    if (match) {
+      for (const token of match) {
+        if (token === ')') {
+          // Avoid popping texFilePath off of the stack.
+          if (sourcePaths.length > 1) sourcePaths.shift()
+        } else {
+          sourcePaths.unshift(this.resolvePath(this.projectPath, token.replace(INPUT_FILE_TRIM_PATTERN, '')))
+        }
+      }
+    }
   }
 }
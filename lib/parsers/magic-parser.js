@@ -23,16 +23,21 @@ const LATEX_COMMAND_PATTERN = new RegExp('' +
 /* eslint-enable no-multi-spaces */
 
 export default class MagicParser extends Parser {
+  // The line index of each magic comment is kept in lineNumbers so that the
+  // origin of a setting can be shown.
+  lineNumbers = {}
+
   parse () {
     const result = {}
     const lines = this.getLines([])
-    for (const line of lines) {
+    for (const [index, line] of lines.entries()) {
       const latexCommandMatch = line.match(LATEX_COMMAND_PATTERN)
       if (latexCommandMatch) { break } // Stop parsing if a latex command was found
 
       const match = line.match(MAGIC_COMMENT_PATTERN)
       if (match != null) {
         result[match[1]] = match[2].trim()
+        this.lineNumbers[match[1]] = index
       }
     }
 
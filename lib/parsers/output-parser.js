@@ -0,0 +1,65 @@
+/** @babel */
+
+import _ from 'lodash'
+import LogParser from './log-parser'
+
+// Number of lines that the start of a warning is held back while it does not
+// match yet since it may still be continued on the following lines.
+const MAX_CONTINUATION_LINES = 20
+
+// Parses the terminal output of a running build. The output contains the same
+// messages as the log file so the log parser is reused, but the output is
+// received in chunks and each message should only be reported once. Only the
+// lines of a message that may still be incomplete are kept between chunks.
+export default class OutputParser extends LogParser {
+  lines = []
+  partialLine = ''
+  isFirstLine = true
+
+  constructor (texFilePath, maxPrintLine) {
+    super(undefined, texFilePath, maxPrintLine)
+    this.sourcePaths = [texFilePath]
+  }
+
+  append (text) {
+    // A carriage return at the end of the text may be followed by a newline in
+    // the next chunk, so it is kept with the incomplete last line.
+    const lines = (this.partialLine + text).split(/\r\n|\r(?!$)|\n/)
+    this.partialLine = lines.pop()
+
+    // Ignore the first line just like the log parser does.
+    if (this.isFirstLine && lines.length > 0) {
+      lines.shift()
+      this.isFirstLine = false
+    }
+
+    this.lines.push(...lines)
+
+    const result = { messages: [] }
+    let index = 0
+
+    while (index < this.lines.length) {
+      const messageCount = result.messages.length
+      const sourcePaths = this.sourcePaths.slice()
+      const endIndex = this.parseLine(this.lines, index, result, sourcePaths)
+
+      // A message that ends on the last line may still be continued on the
+      // next line, so it is parsed again once more output is received.
+      const isIncomplete = endIndex === this.lines.length - 1 ||
+        (result.messages.length === messageCount && this.isWarningInfoStart(this.lines[index]) &&
+          this.lines.length - index <= MAX_CONTINUATION_LINES)
+      if (isIncomplete) {
+        result.messages.splice(messageCount)
+        break
+      }
+
+      this.sourcePaths = sourcePaths
+      index = endIndex + 1
+    }
+
+    this.lines = this.lines.slice(index)
+
+    // The line numbers refer to the output and not to a log file.
+    return result.messages.map(message => _.omit(message, ['logRange']))
+  }
+}
@@ -0,0 +1,67 @@
+/** @babel */
+
+import Parser from '../parser.js'
+import { findComment } from '../werkzeug'
+
+const DOCUMENT_CLASS_PATTERN = /\\documentclass\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/
+const PACKAGE_PATTERN = /\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g
+const BEGIN_DOCUMENT_PATTERN = /\\begin\s*\{document\}/
+
+// Finds the class and the packages loaded by the preamble of a root file along
+// with the range of the command that loaded them.
+export default class PreambleParser extends Parser {
+  parse () {
+    const result = { documentClass: null, packages: [] }
+    const { text, lineOffsets } = this.getPreamble()
+
+    const classMatch = text.match(DOCUMENT_CLASS_PATTERN)
+    if (classMatch) {
+      result.documentClass = { name: classMatch[1].trim(), range: this.createRange(lineOffsets, classMatch) }
+    }
+
+    let match
+    PACKAGE_PATTERN.lastIndex = 0
+    while ((match = PACKAGE_PATTERN.exec(text)) !== null) {
+      for (const name of match[1].split(',').map(name => name.trim()).filter(name => name)) {
+        result.packages.push({ name, range: this.createRange(lineOffsets, match) })
+      }
+    }
+
+    return result
+  }
+
+  // The lines before \begin{document} without their comments joined, so
+  // that the patterns also match commands that span several lines, along
+  // with the offset at which each line starts.
+  getPreamble () {
+    const codeLines = []
+    const lineOffsets = []
+    let offset = 0
+
+    for (const line of this.getLines([])) {
+      const commentIndex = findComment(line)
+      const code = commentIndex === -1 ? line : line.slice(0, commentIndex)
+
+      if (BEGIN_DOCUMENT_PATTERN.test(code)) break
+
+      codeLines.push(code)
+      lineOffsets.push(offset)
+      offset += code.length + 1
+    }
+
+    return { text: codeLines.join('\n'), lineOffsets }
+  }
+
+  createRange (lineOffsets, match) {
+    return [
+      this.getPosition(lineOffsets, match.index),
+      this.getPosition(lineOffsets, match.index + match[0].length)
+    ]
+  }
+
+  getPosition (lineOffsets, offset) {
+    let index = lineOffsets.length - 1
+    while (index > 0 && lineOffsets[index] > offset) index--
+    return [index, offset - lineOffsets[index]]
+  }
+}
@@ -0,0 +1,253 @@
+/** @babel */
+
+import _ from 'lodash'
+import yaml from 'js-yaml'
+import Parser from '../parser.js'
+
+// Settings that can be overridden by settings files. The schema of each
+// setting is taken from the package config except for jobNames and jobs, which
+// are not package settings, and environment, which has no fixed keys.
+const SETTING_NAMES = [
+  'builder',
+  'cleanPatterns',
+  'customEngine',
+  'enableExtendedBuildMode',
+  'enableShellEscape',
+  'enableSynctex',
+  'engine',
+  'environment',
+  'jobNames',
+  'jobs',
+  'moveResultToSourceDirectory',
+  'openResultAfterBuild',
+  'outputDirectory',
+  'outputFormat',
+  'producer',
+  'profiles'
+]
+
+const JOB_NAMES_SCHEMA = { type: 'array', items: { type: 'string' } }
+
+// Each variable is set to a string or number or prepended with a list of paths.
+const ENVIRONMENT_VARIABLE_SCHEMA = { type: ['string', 'number', 'array'], items: { type: 'string' } }
+const ENVIRONMENT_SCHEMA = { type: 'object', additionalProperties: ENVIRONMENT_VARIABLE_SCHEMA }
+
+// Names that are accepted for compatibility with magic comments and Sublime.
+const SETTING_ALIASES = {
+  format: 'outputFormat',
+  jobname: 'jobNames',
+  jobnames: 'jobNames',
+  output_directory: 'outputDirectory',
+  program: 'engine'
+}
+
+// Boolean and array values may also be given as strings, in the same way as
+// magic comments, i.e. `yes` or `foo, bar`. Only the settings that the build
+// state splits at commas accept a string instead of a list.
+const BOOLEAN_PATTERN = /^(true|false|yes|no)$/i
+const COMMA_LIST_SETTINGS = ['cleanPatterns', 'jobNames', 'jobs']
+
+export default class SettingsParser extends Parser {
+  parse () {
+    const lines = this.getLines()
+    const properties = {}
+    const messages = []
+    const lineNumbers = {}
+    let settings
+
+    try {
+      settings = yaml.safeLoad(lines.join('\n'), { filename: this.filePath })
+    } catch (error) {
+      const lineIndex = error.mark ? error.mark.line : 0
+      messages.push(this.createMessage('error', `Parsing of settings file failed: ${error.reason || error.message}`, lines, lineIndex))
+      return { properties, messages, lineNumbers }
+    }
+
+    if (settings === undefined || settings === null) return { properties, messages, lineNumbers }
+
+    if (!_.isPlainObject(settings)) {
+      messages.push(this.createMessage('error', 'Settings file should contain a mapping of setting names to values.', lines, 0))
+      return { properties, messages, lineNumbers }
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+      const lineIndex = this.findSettingLine(lines, name)
+      // An invalid environment variable only discards that variable instead
+      // of the whole environment.
+      const isEnvironment = name === 'environment' && _.isPlainObject(value)
+      const problem = isEnvironment ? undefined : this.validate(name, value)
+      if (problem) {
+        messages.push(this.createMessage(problem.type, problem.text, lines, lineIndex))
+      } else {
+        properties[name] = isEnvironment ? this.parseEnvironment(value, lines, lineIndex, messages) : value
+        if (lineIndex !== -1) lineNumbers[name] = lineIndex
+      }
+    }
+
+    return { properties, messages, lineNumbers }
+  }
+
+  validate (name, value) {
+    const settingName = SETTING_ALIASES[name] || name
+
+    if (!SETTING_NAMES.includes(settingName)) {
+      const reason = atom.config.getSchema(`latex.${name}`) ? 'cannot be overridden in settings files' : 'is unknown'
+      return { type: 'warning', text: `Setting \`${name}\` ${reason} and will be ignored.` }
+    }
+
+    if (COMMA_LIST_SETTINGS.includes(settingName) && typeof value === 'string') return
+
+    // jobname is a single job name for compatibility with Sublime.
+    const schema = this.getSchema(name, settingName)
+    const problem = this.validateValue(value, schema)
+
+    if (problem) {
+      return { type: 'error', text: `Invalid value for setting \`${name}\`: ${problem}.` }
+    }
+  }
+
+  parseEnvironment (environment, lines, settingLineIndex, messages) {
+    return _.pickBy(environment, (value, name) => {
+      const problem = this.validateValue(value, ENVIRONMENT_VARIABLE_SCHEMA)
+      if (problem) {
+        const lineIndex = this.findVariableLine(lines, name, settingLineIndex)
+        messages.push(this.createMessage('error', `Invalid value for variable \`${name}\` of setting \`environment\`: ${problem}.`, lines, lineIndex))
+      }
+      return !problem
+    })
+  }
+
+  getSchema (name, settingName) {
+    switch (name === 'jobname' ? name : settingName) {
+      case 'jobname':
+        return { type: 'string' }
+      case 'jobNames':
+        return JOB_NAMES_SCHEMA
+      case 'jobs':
+        return this.getJobsSchema()
+      case 'environment':
+        return ENVIRONMENT_SCHEMA
+      default:
+        return atom.config.getSchema(`latex.${settingName}`)
+    }
+  }
+
+  // Each job is a job name or an object with a name and the settings that
+  // differ from the rest of the document. A single job may be given without a
+  // list, in the same way as magic comments.
+  getJobsSchema () {
+    const outputFormat = atom.config.getSchema('latex.outputFormat')
+    const outputDirectory = atom.config.getSchema('latex.outputDirectory')
+    const jobSchema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        engine: atom.config.getSchema('latex.engine'),
+        format: outputFormat,
+        outputFormat,
+        outputDirectory,
+        output_directory: outputDirectory,
+        producer: atom.config.getSchema('latex.producer')
+      }
+    }
+
+    return Object.assign({}, jobSchema, {
+      type: ['array', 'object'],
+      items: Object.assign({}, jobSchema, { type: ['string', 'object'] })
+    })
+  }
+
+  validateValue (value, schema) {
+    // A value with more than one type is valid if any of the types matches.
+    // Otherwise the problem of the type of the value is reported, i.e. a
+    // missing key of a mapping.
+    if (Array.isArray(schema.type)) {
+      const problems = schema.type.map(type => this.validateValue(value, Object.assign({}, schema, { type })))
+      if (!problems.every(problem => problem)) return
+
+      const index = schema.type.indexOf(this.getType(value))
+      return problems[index === -1 ? problems.length - 1 : index]
+    }
+
+    switch (schema.type) {
+      case 'boolean':
+        if (typeof value === 'boolean' || (typeof value === 'string' && BOOLEAN_PATTERN.test(value))) break
+        return `expected a boolean but found ${this.describe(value)}`
+      case 'number':
+        if (typeof value === 'number') break
+        return `expected a number but found ${this.describe(value)}`
+      case 'integer':
+        if (Number.isInteger(value)) break
+        return `expected an integer but found ${this.describe(value)}`
+      case 'array':
+        if (!Array.isArray(value)) return `expected a list but found ${this.describe(value)}`
+        for (const item of value) {
+          const problem = this.validateValue(item, schema.items || {})
+          if (problem) return problem
+        }
+        break
+      case 'string':
+        if (typeof value !== 'string') return `expected a string but found ${this.describe(value)}`
+        break
+      case 'object':
+        if (!_.isPlainObject(value)) return `expected a mapping but found ${this.describe(value)}`
+        for (const name of schema.required || []) {
+          if (!(name in value)) return `missing \`${name}\``
+        }
+        for (const [name, item] of Object.entries(value)) {
+          const itemSchema = (schema.properties || {})[name] || schema.additionalProperties
+          if (!itemSchema) return `unknown key \`${name}\``
+          const problem = this.validateValue(item, itemSchema)
+          if (problem) return `${problem} for \`${name}\``
+        }
+        break
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `expected one of ${schema.enum.join(', ')} but found ${value}`
+    }
+  }
+
+  getType (value) {
+    if (Array.isArray(value)) return 'array'
+    if (_.isPlainObject(value)) return 'object'
+    return typeof value
+  }
+
+  describe (value) {
+    if (value === null || value === undefined) return 'nothing'
+    if (Array.isArray(value)) return 'a list'
+    if (_.isPlainObject(value)) return 'a mapping'
+    return `${typeof value} ${JSON.stringify(value)}`
+  }
+
+  // Settings are top level keys so only unindented lines need to be checked.
+  // Returns -1 if the setting is not on a line of its own, e.g. in a flow
+  // mapping.
+  findSettingLine (lines, name) {
+    const pattern = new RegExp(`^(['"]?)${_.escapeRegExp(name)}\\1\\s*:`)
+    return lines.findIndex(line => pattern.test(line))
+  }
+
+  // Variables are the indented keys that follow the line of the environment
+  // setting.
+  findVariableLine (lines, name, settingLineIndex) {
+    if (settingLineIndex === -1) return -1
+
+    const pattern = new RegExp(`^\\s+(['"]?)${_.escapeRegExp(name)}\\1\\s*:`)
+    for (let index = settingLineIndex + 1; index < lines.length && !/^\S/.test(lines[index]); index++) {
+      if (pattern.test(lines[index])) return index
+    }
+
+    return settingLineIndex
+  }
+
+  // Messages of settings that are not found are reported for the whole file
+  // instead of a wrong line.
+  createMessage (type, text, lines, lineIndex) {
+    const message = { type, text, filePath: this.filePath }
+    if (lineIndex !== -1) message.range = [[lineIndex, 0], [lineIndex, (lines[lineIndex] || '').length]]
+    return message
+  }
+}
@@ -0,0 +1,84 @@
+/** @babel */
+
+import path from 'path'
+import Parser from '../parser.js'
+
+const FILE_PATTERN = /^(?:File|Included file): (.+)$/
+const TOTAL_PATTERN = /^(?:Total|Sum of files|File\(s\) total)\b/
+const TEXT_PATTERN = /^Words in text: (\d+)$/
+const HEADERS_PATTERN = /^Words in headers: (\d+)$/
+const CAPTIONS_PATTERN = /^Words outside text \(captions, etc\.\): (\d+)$/
+// Subcounts are given as `text+headers+captions (#headers/#floats/#inlines/#displayed) Section: Title`.
+const SUBCOUNT_PATTERN = /^\s*(\d+)\+(\d+)\+(\d+) \(\d+\/\d+\/\d+\/\d+\) (.*)$/
+const SECTION_PATTERN = /^([^:]+): (.*)$/
+const ERROR_PATTERN = /^!!!\s*(.*?)\s*!!!$/
+
+function createCounts () {
+  return { text: 0, headers: 0, captions: 0 }
+}
+
+// Parses the output of `texcount -inc -sub=section`, which gives the counts of
+// each file and its sections followed by the total of all files.
+export default class TexcountParser extends Parser {
+  constructor (output, texFilePath) {
+    super(undefined)
+    this.output = output
+    this.projectPath = path.dirname(texFilePath)
+  }
+
+  parse () {
+    const lines = this.output.replace(/(\r\n)|\r/g, '\n').split('\n')
+    const files = []
+    const messages = []
+    let total = null
+    let counts = null
+
+    for (const line of lines) {
+      let match = line.match(FILE_PATTERN)
+      if (match) {
+        counts = Object.assign({ filePath: this.resolvePath(this.projectPath, match[1].trim()), sections: [] }, createCounts())
+        files.push(counts)
+        continue
+      }
+
+      if (TOTAL_PATTERN.test(line)) {
+        counts = total = createCounts()
+        continue
+      }
+
+      match = line.match(ERROR_PATTERN)
+      if (match) {
+        messages.push({ type: 'warning', text: `texcount: ${match[1]}` })
+        continue
+      }
+
+      if (!counts) continue
+
+      if ((match = line.match(TEXT_PATTERN))) {
+        counts.text = parseInt(match[1], 10)
+      } else if ((match = line.match(HEADERS_PATTERN))) {
+        counts.headers = parseInt(match[1], 10)
+      } else if ((match = line.match(CAPTIONS_PATTERN))) {
+        counts.captions = parseInt(match[1], 10)
+      } else if ((match = line.match(SUBCOUNT_PATTERN)) && counts.sections) {
+        // The text before the first section is named `_top_`.
+        const sectionMatch = match[4].match(SECTION_PATTERN)
+        counts.sections.push({
+          type: sectionMatch ? sectionMatch[1] : null,
+          title: sectionMatch ? sectionMatch[2] : match[4],
+          text: parseInt(match[1], 10),
+          headers: parseInt(match[2], 10),
+          captions: parseInt(match[3], 10)
+        })
+      }
+    }
+
+    // texcount only prints a total if there is more than one file.
+    if (!total && files.length === 1) {
+      const { text, headers, captions } = files[0]
+      total = { text, headers, captions }
+    }
+
+    return { files, total, messages }
+  }
+}
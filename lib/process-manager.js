@@ -2,22 +2,37 @@
 
 import childProcess from 'child_process'
 import kill from 'tree-kill'
-import { Disposable } from 'atom'
+import { Disposable, Emitter } from 'atom'
 
 export default class ProcessManager extends Disposable {
-  processes = new Set()
+  // The group of each process, i.e. the root file of the build that started
+  // it, so that builds of one project can be killed without affecting others.
+  processes = new Map()
+  emitter = new Emitter()
 
   constructor () {
-    super(() => this.killChildProcesses())
+    super(() => {
+      this.killChildProcesses()
+      this.emitter.dispose()
+    })
+  }
+
+  onDidOutput (callback) {
+    return this.emitter.on('did-output', callback)
   }
 
   executeChildProcess (command, options = {}) {
-    const { allowKill, showError, ...execOptions } = options
+    if (options.stream || options.onOutput) {
+      return this.spawnChildProcess(command, options)
+    }
+
+    const { allowKill, showError, processGroup, timeout, idleTimeout, ...execOptions } = options
     return new Promise(resolve => {
       // Windows does not like \$ appearing in command lines so only escape
       // if we need to.
       if (process.platform !== 'win32') command = command.replace('$', '\\$')
-      const { pid } = childProcess.exec(command, execOptions, (error, stdout, stderr) => {
+      const child = childProcess.exec(command, execOptions, (error, stdout, stderr) => {
+        watchdog.stop()
         if (allowKill) {
           this.processes.delete(pid)
         }
@@ -27,19 +42,108 @@ export default class ProcessManager extends Disposable {
         resolve({
           statusCode: error ? error.code : 0,
           stdout,
-          stderr
+          stderr,
+          killedBy: watchdog.reason
         })
       })
+      const { pid } = child
+      const watchdog = this.watchChildProcess(child, { timeout, idleTimeout })
+      if (allowKill) {
+        this.processes.set(pid, processGroup)
+      }
+    })
+  }
+
+  // Run the command and report stdout and stderr as they are received instead
+  // of buffering them until the process exits. Each chunk is passed to the
+  // onOutput option and emitted as a did-output event.
+  spawnChildProcess (command, options = {}) {
+    const { allowKill, showError, processGroup, stream, onOutput, encoding, maxBuffer, timeout, idleTimeout, ...spawnOptions } = options
+    return new Promise(resolve => {
+      if (process.platform !== 'win32') command = command.replace('$', '\\$')
+      const output = { stdout: '', stderr: '' }
+      const child = childProcess.spawn(command, Object.assign(spawnOptions, { shell: true }))
+      const { pid } = child
+      const watchdog = this.watchChildProcess(child, { timeout, idleTimeout })
+      let finished = false
+
+      const finish = statusCode => {
+        // A process that fails to start emits both error and close events.
+        if (finished) return
+        finished = true
+        watchdog.stop()
+        if (allowKill) {
+          this.processes.delete(pid)
+        }
+        if (statusCode !== 0 && showError && latex && latex.log) {
+          latex.log.error(`An error occurred while trying to run "${command}" (${statusCode}).`)
+        }
+        resolve(Object.assign({ statusCode, killedBy: watchdog.reason }, output))
+      }
+
+      for (const type of ['stdout', 'stderr']) {
+        child[type].setEncoding(encoding || 'utf8')
+        child[type].on('data', text => {
+          output[type] += text
+          if (onOutput) onOutput(type, text)
+          this.emitter.emit('did-output', { pid, command, type, text })
+        })
+      }
+
+      child.on('error', error => finish(error.code))
+      child.on('close', statusCode => finish(statusCode))
+
       if (allowKill) {
-        this.processes.add(pid)
+        this.processes.set(pid, processGroup)
       }
     })
   }
 
-  killChildProcesses () {
-    for (const pid of this.processes.values()) {
-      kill(pid)
+  // Kill the process tree if the process runs longer than timeout or does not
+  // produce any output for idleTimeout milliseconds. The reason, either
+  // `timeout` or `idle`, is recorded so that the caller can report it.
+  watchChildProcess (child, { timeout, idleTimeout }) {
+    const timers = {}
+    const watchdog = {
+      reason: null,
+      stop: () => {
+        clearTimeout(timers.timeout)
+        clearTimeout(timers.idle)
+      }
+    }
+
+    const expire = reason => {
+      watchdog.reason = reason
+      watchdog.stop()
+      kill(child.pid)
+    }
+
+    const resetIdleTimer = () => {
+      if (watchdog.reason) return
+      clearTimeout(timers.idle)
+      timers.idle = setTimeout(() => expire('idle'), idleTimeout)
+    }
+
+    if (timeout > 0) {
+      timers.timeout = setTimeout(() => expire('timeout'), timeout)
+    }
+
+    if (idleTimeout > 0) {
+      for (const type of ['stdout', 'stderr']) {
+        if (child[type]) child[type].on('data', resetIdleTimer)
+      }
+      resetIdleTimer()
+    }
+
+    return watchdog
+  }
+
+  killChildProcesses (processGroup) {
+    for (const [pid, group] of this.processes.entries()) {
+      if (!processGroup || group === processGroup) {
+        kill(pid)
+        this.processes.delete(pid)
+      }
     }
-    this.processes.clear()
   }
 }
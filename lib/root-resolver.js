@@ -0,0 +1,179 @@
+/** @babel */
+
+import fs from 'fs-plus'
+import glob from 'glob'
+import path from 'path'
+import { CompositeDisposable, Disposable } from 'atom'
+import { isTexFile } from './werkzeug'
+
+const DOCUMENT_CLASS_PATTERN = /^[^%]*\\documentclass\b/m
+const INCLUDE_PATTERN = /\\(?:input|include|subfile)\s*\{([^}]+)\}/g
+const COMMENT_PATTERN = /(^|[^\\])%.*$/gm
+
+// Finds the root files of a project, i.e. the files with a \documentclass,
+// that include a file either directly or through other included files.
+// Since this runs before every build, the TeX files of the projects and what
+// each of them includes are cached until Atom reports that they changed.
+export default class RootResolver extends Disposable {
+  disposables = new CompositeDisposable()
+  texFilePaths = new Map()
+  fileInfos = new Map()
+  isWatching = false
+
+  constructor () {
+    super(() => this.disposables.dispose())
+  }
+
+  resolve (filePath) {
+    if (!isTexFile(filePath) || this.isRootFile(filePath)) return filePath
+
+    const projectPath = this.getProjectPath(filePath)
+    const rootFilePaths = this.findRootFiles(projectPath)
+      .filter(rootFilePath => this.getIncludedFiles(rootFilePath).has(filePath))
+
+    switch (rootFilePaths.length) {
+      case 0:
+        return filePath
+      case 1:
+        return rootFilePaths[0]
+      default:
+        return this.chooseRootFile(filePath, rootFilePaths, projectPath)
+    }
+  }
+
+  getProjectPath (filePath) {
+    const [projectPath] = atom.project.relativizePath(filePath)
+    return projectPath || path.dirname(filePath)
+  }
+
+  isRootFile (filePath) {
+    return this.getFileInfo(filePath).isRoot
+  }
+
+  findRootFiles (projectPath) {
+    return this.findTexFiles(projectPath).filter(filePath => this.isRootFile(filePath))
+  }
+
+  findTexFiles (projectPath) {
+    let filePaths = this.texFilePaths.get(projectPath)
+
+    if (!filePaths) {
+      filePaths = glob.sync('**/*.tex', { cwd: projectPath, nodir: true, ignore: '**/node_modules/**' })
+        .map(filePath => path.resolve(projectPath, filePath))
+      if (this.isCacheable(projectPath)) this.texFilePaths.set(projectPath, filePaths)
+    }
+
+    return filePaths
+  }
+
+  // Only the files of the project folders are watched by Atom, so the files
+  // of other folders are read again each time.
+  isCacheable (filePath) {
+    if (!atom.project.contains(filePath) || !atom.project.onDidChangeFiles) return false
+
+    if (!this.isWatching) {
+      this.isWatching = true
+      this.disposables.add(atom.project.onDidChangeFiles(events => this.handleFileChanges(events)))
+    }
+
+    return true
+  }
+
+  // Modifying a file only changes what that file includes, but creating,
+  // deleting or renaming a file also changes the TeX files of the project.
+  handleFileChanges (events) {
+    for (const { action, path: filePath, oldPath } of events) {
+      this.fileInfos.delete(filePath)
+      if (oldPath) this.fileInfos.delete(oldPath)
+
+      if (action !== 'modified') {
+        for (const projectPath of this.texFilePaths.keys()) {
+          if ([filePath, oldPath].some(changedPath => changedPath && isInDirectory(changedPath, projectPath))) {
+            this.texFilePaths.delete(projectPath)
+          }
+        }
+      }
+    }
+  }
+
+  // Whether the file is a root file and the names of the files that it
+  // includes.
+  getFileInfo (filePath) {
+    let info = this.fileInfos.get(filePath)
+
+    if (!info) {
+      const text = this.readFile(filePath)
+      const code = text.replace(COMMENT_PATTERN, '$1')
+      const names = []
+      let match
+
+      INCLUDE_PATTERN.lastIndex = 0
+      while ((match = INCLUDE_PATTERN.exec(code)) !== null) {
+        names.push(match[1].trim())
+      }
+
+      info = { isRoot: DOCUMENT_CLASS_PATTERN.test(text), includedNames: names }
+      if (this.isCacheable(filePath)) this.fileInfos.set(filePath, info)
+    }
+
+    return info
+  }
+
+  // Follow the \input, \include and \subfile commands starting at the root
+  // file and collect all files that are reached.
+  getIncludedFiles (rootFilePath) {
+    const rootPath = path.dirname(rootFilePath)
+    const includedFiles = new Set()
+    const pending = [rootFilePath]
+
+    while (pending.length > 0) {
+      const filePath = pending.pop()
+
+      for (const name of this.getFileInfo(filePath).includedNames) {
+        const includedFilePath = this.resolveIncludedFile(name, path.dirname(filePath), rootPath)
+        if (includedFilePath && !includedFiles.has(includedFilePath) && includedFilePath !== rootFilePath) {
+          includedFiles.add(includedFilePath)
+          pending.push(includedFilePath)
+        }
+      }
+    }
+
+    return includedFiles
+  }
+
+  // TeX resolves paths relative to the directory of the root file, but
+  // \subfile also accepts paths relative to the including file.
+  resolveIncludedFile (name, directoryPath, rootPath) {
+    const names = path.extname(name) ? [name] : [`${name}.tex`, name]
+
+    for (const basePath of [rootPath, directoryPath]) {
+      for (const candidate of names) {
+        const filePath = path.resolve(basePath, candidate)
+        if (fs.isFileSync(filePath)) return filePath
+      }
+    }
+  }
+
+  chooseRootFile (filePath, rootFilePaths, projectPath) {
+    const index = atom.confirm({
+      message: 'Choose the root file to build',
+      detailedMessage: `${path.relative(projectPath, filePath)} is included by more than one root file.`,
+      buttons: rootFilePaths.map(rootFilePath => path.relative(projectPath, rootFilePath))
+    })
+
+    return rootFilePaths[index] || filePath
+  }
+
+  readFile (filePath) {
+    try {
+      return fs.readFileSync(filePath, { encoding: 'utf-8' })
+    } catch (error) {
+      return ''
+    }
+  }
+}
+
+function isInDirectory (filePath, directoryPath) {
+  const relativePath = path.relative(directoryPath, filePath)
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+}
@@ -4,6 +4,11 @@ import StatusLabel from './views/status-label'
 import { Disposable } from 'atom'
 
 export default class StatusIndicator extends Disposable {
+  // Builds of different projects may run at the same time, so the indicator
+  // stays busy until all of them are finished.
+  busyCount = 0
+  watchingCount = 0
+
   constructor () {
     super(() => this.detachStatusBar())
   }
@@ -14,9 +19,18 @@ export default class StatusIndicator extends Disposable {
       item: this.statusLabel,
       priority: 9001
     })
+    this.profileSubscription = atom.config.observe('latex.activeProfile', profile => {
+      if (this.statusLabel) {
+        this.statusLabel.update({ profile })
+      }
+    })
   }
 
   detachStatusBar () {
+    if (this.profileSubscription) {
+      this.profileSubscription.dispose()
+      this.profileSubscription = null
+    }
     if (this.statusTile) {
       this.statusTile.destroy()
       this.statusTile = null
@@ -28,17 +42,39 @@ export default class StatusIndicator extends Disposable {
   }
 
   setBusy () {
+    this.busyCount++
     if (this.statusLabel) {
       this.statusLabel.update({ busy: true })
     }
   }
 
   setIdle () {
-    if (this.statusLabel) {
+    this.busyCount = Math.max(0, this.busyCount - 1)
+    if (this.statusLabel && this.busyCount === 0) {
       this.statusLabel.update({ busy: false })
     }
   }
 
+  setWatching () {
+    this.watchingCount++
+    if (this.statusLabel) {
+      this.statusLabel.update({ watching: true })
+    }
+  }
+
+  setNotWatching () {
+    this.watchingCount = Math.max(0, this.watchingCount - 1)
+    if (this.statusLabel && this.watchingCount === 0) {
+      this.statusLabel.update({ watching: false })
+    }
+  }
+
+  showWordCount (wordCount) {
+    if (this.statusLabel) {
+      this.statusLabel.update({ wordCount })
+    }
+  }
+
   show (text, type, icon, spin, title, onClick) {
     if (this.statusLabel) {
       this.statusLabel.update({ text, type, icon, spin, title, onClick })
@@ -0,0 +1,188 @@
+/** @babel */
+
+import _ from 'lodash'
+import crypto from 'crypto'
+import fs from 'fs-plus'
+import path from 'path'
+import temp from 'temp'
+import ArchiveWriter from './archive-writer'
+import BuildState from './build-state'
+import LatexmkBuilder from './builders/latexmk'
+import { findComment } from './werkzeug'
+
+// Files of the TeX distribution live in texmf trees or in the directories of
+// the TeX Live and MiKTeX installations.
+const DISTRIBUTION_PATTERN = /(?:^|[\\/])(?:texmf[^\\/]*|\.?texlive[^\\/]*|miktex[^\\/]*)[\\/]/i
+const BBL_PATTERN = /\.bbl$/i
+const TEX_PATTERN = /\.tex$/i
+const VERBATIM_PATTERN = /\\begin\s*\{(verbatim\*?|Verbatim|lstlisting|minted|comment)\}/
+const MANIFEST_NAME = 'MANIFEST.txt'
+
+// Exports the files needed to compile a document, as recorded in the file
+// database of the last latexmk build, into an archive that can be submitted to
+// arXiv or a journal.
+export default class SubmissionExporter {
+  async export (builder, jobState) {
+    const texFilePath = jobState.getTexFilePath() || jobState.getFilePath()
+    const { dir, name } = path.parse(texFilePath)
+    const format = atom.config.get('latex.submissionArchiveFormat')
+    const archivePath = path.join(dir, `${name}-submission.${format}`)
+    const entries = this.collectFiles(builder, jobState).map(file => ({
+      name: file.name,
+      data: this.readFile(file.filePath)
+    }))
+
+    entries.push({ name: MANIFEST_NAME, data: Buffer.from(this.createManifest(entries)) })
+
+    const writer = new ArchiveWriter(format)
+    for (const entry of entries) {
+      writer.addFile(entry.name, entry.data)
+    }
+    fs.writeFileSync(archivePath, writer.toBuffer())
+
+    latex.log.info(`Exported ${entries.length - 1} files to ${archivePath}.`)
+
+    if (atom.config.get('latex.testCompileSubmission')) {
+      await this.testCompile(jobState, entries, path.basename(texFilePath))
+    }
+
+    return archivePath
+  }
+
+  // Collect the inputs of the document, with names relative to the directory
+  // of the root file. Generated files are left out except for the bibliography
+  // since arXiv and most journals do not run BibTeX or Biber. The bibliography
+  // of the job is renamed after the root file so that it is found when the
+  // archive is compiled.
+  collectFiles (builder, jobState) {
+    const texFilePath = jobState.getTexFilePath() || jobState.getFilePath()
+    const rootPath = path.dirname(texFilePath)
+    const outputPath = path.resolve(rootPath, jobState.getOutputDirectory() || '')
+    const jobBblPath = builder.resolveOutputFilePath(jobState, '.bbl')
+    const generatedFiles = builder.getFileDatabasePaths(jobState, 'generated', /./)
+    const sourceFiles = builder.getFileDatabasePaths(jobState, 'source', /./)
+      .concat(generatedFiles.filter(filePath => BBL_PATTERN.test(filePath)))
+    const files = new Map()
+
+    for (const filePath of [texFilePath].concat(sourceFiles)) {
+      if (DISTRIBUTION_PATTERN.test(filePath) || !fs.isFileSync(filePath)) continue
+
+      let name
+      if (BBL_PATTERN.test(filePath)) {
+        name = filePath === jobBblPath
+          ? `${path.parse(texFilePath).name}.bbl`
+          : path.relative(outputPath, filePath)
+      } else if (generatedFiles.includes(filePath)) {
+        continue
+      } else {
+        name = path.relative(rootPath, filePath)
+      }
+
+      if (name.startsWith('..') || path.isAbsolute(name)) {
+        latex.log.warning(`${filePath} is not included in the submission since it is outside of ${rootPath}.`)
+        continue
+      }
+
+      name = name.split(path.sep).join('/')
+      if (!files.has(name)) files.set(name, filePath)
+    }
+
+    return Array.from(files.entries()).map(([name, filePath]) => ({ name, filePath }))
+  }
+
+  readFile (filePath) {
+    const data = fs.readFileSync(filePath)
+
+    if (atom.config.get('latex.stripCommentsFromSubmission') && TEX_PATTERN.test(filePath)) {
+      return Buffer.from(this.stripComments(data.toString('utf8')))
+    }
+
+    return data
+  }
+
+  // Remove comments while keeping the `%` at the end of a line so that no
+  // spaces are introduced. Lines that only contain a comment are removed and
+  // verbatim environments are left unchanged.
+  stripComments (text) {
+    const lines = []
+    let verbatim = null
+
+    for (const line of text.split('\n')) {
+      if (verbatim) {
+        lines.push(line)
+        if (line.includes(`\\end{${verbatim}}`)) verbatim = null
+        continue
+      }
+
+      const index = findComment(line)
+      const code = index === -1 ? line : line.slice(0, index)
+      const match = code.match(VERBATIM_PATTERN)
+
+      if (index === -1) {
+        lines.push(line)
+      } else if (code.trim() !== '') {
+        lines.push(line.slice(0, index + 1))
+      }
+
+      if (match && !code.includes(`\\end{${match[1]}}`)) verbatim = match[1]
+    }
+
+    return lines.join('\n')
+  }
+
+  // The manifest uses the format of sha256sum so that the archive can be
+  // checked with `sha256sum -c MANIFEST.txt`.
+  createManifest (entries) {
+    return entries
+      .map(({ name, data }) => `${crypto.createHash('sha256').update(data).digest('hex')}  ${name}\n`)
+      .join('')
+  }
+
+  // Compile the contents of the archive in a temporary directory to check
+  // that no files are missing. Messages are reported for the original files.
+  async testCompile (jobState, entries, texFileName) {
+    const tempPath = fs.realpathSync(temp.mkdirSync('latex-submission'))
+    const rootPath = path.dirname(jobState.getTexFilePath() || jobState.getFilePath())
+
+    try {
+      for (const { name, data } of entries) {
+        const filePath = path.join(tempPath, ...name.split('/'))
+        fs.makeTreeSync(path.dirname(filePath))
+        fs.writeFileSync(filePath, data)
+      }
+
+      const state = new BuildState(path.join(tempPath, texFileName))
+      state.setEngine(jobState.getEngine())
+      state.setOutputFormat(jobState.getOutputFormat())
+      state.setProducer(jobState.getProducer())
+      state.setOutputDirectory('')
+
+      const testJobState = state.getJobStates()[0]
+      const builder = new LatexmkBuilder()
+      const statusCode = await builder.run(testJobState)
+      builder.parseLogFile(testJobState)
+
+      const messages = (testJobState.getLogMessages() || [])
+        .filter(message => message.type === 'error')
+        .map(message => {
+          // The log of the test compile is removed with the temporary directory.
+          message = _.omit(message, ['logPath', 'logRange'])
+          if (!message.filePath) return message
+          const relativePath = path.relative(tempPath, message.filePath)
+          if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return message
+          return Object.assign(message, { filePath: path.join(rootPath, relativePath) })
+        })
+      latex.log.showMessages(messages)
+
+      if (statusCode === 0 && messages.length === 0) {
+        latex.log.info('Test compile of the submission succeeded.')
+        return true
+      }
+
+      latex.log.error('Test compile of the submission failed. Files may be missing from the archive.')
+      return false
+    } finally {
+      fs.removeSync(tempPath)
+    }
+  }
+}
@@ -0,0 +1,141 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import path from 'path'
+import { CompositeDisposable } from 'atom'
+import LogMessage from './log-message'
+
+export default class BuildHistoryView {
+  disposables = new CompositeDisposable()
+  selectedIds = []
+
+  constructor (properties = {}) {
+    this.properties = properties
+    etch.initialize(this)
+    this.disposables.add(latex.history.onDidUpdate(() => {
+      this.selectedIds = this.selectedIds.filter(id => latex.history.getEntry(id))
+      etch.update(this)
+    }))
+  }
+
+  async destroy () {
+    this.disposables.dispose()
+    await etch.destroy(this)
+  }
+
+  render () {
+    const entries = latex.history.getEntries().slice().reverse()
+
+    return (
+      <div className='latex-history'>
+        <div className='log-block expand'>
+          <table>
+            <thead>
+              <tr>
+                <th>Started</th>
+                <th>Duration</th>
+                <th>Source&nbsp;File</th>
+                <th>Builder</th>
+                <th>Engine</th>
+                <th>Jobs</th>
+                <th>Exit&nbsp;Code</th>
+                <th>Errors</th>
+                <th>Warnings</th>
+              </tr>
+            </thead>
+            <tbody>{entries.map(entry => this.renderEntry(entry))}</tbody>
+          </table>
+        </div>
+        <div className='log-block expand'>
+          {this.renderSelection()}
+        </div>
+      </div>
+    )
+  }
+
+  renderEntry (entry) {
+    const className = this.selectedIds.includes(entry.id) ? 'latex-history-entry selected' : 'latex-history-entry'
+    const duration = entry.endTime ? `${((entry.endTime - entry.startTime) / 1000).toFixed(1)}s` : 'running'
+    const messages = entry.messages || []
+
+    return (
+      <tr className={className} onclick={() => this.select(entry.id)}>
+        <td>{new Date(entry.startTime).toLocaleString()}</td>
+        <td>{duration}</td>
+        <td>{path.basename(entry.filePath)}</td>
+        <td>{entry.builder || ''}</td>
+        <td>{entry.engine || ''}</td>
+        <td>{entry.jobNames.join(', ')}</td>
+        <td>{entry.statusCode === undefined || entry.statusCode === null ? '' : String(entry.statusCode)}</td>
+        <td>{String(messages.filter(message => message.type === 'error').length)}</td>
+        <td>{String(messages.filter(message => message.type === 'warning').length)}</td>
+      </tr>
+    )
+  }
+
+  renderSelection () {
+    const entries = this.selectedIds.map(id => latex.history.getEntry(id))
+
+    switch (entries.length) {
+      case 1:
+        return this.renderMessages(entries[0].messages || [])
+      case 2:
+        return this.renderDiff(...entries.sort((a, b) => a.id - b.id))
+      default:
+        return <div>Select a build to show its messages or two builds to compare them.</div>
+    }
+  }
+
+  renderDiff (oldEntry, newEntry) {
+    const { added, removed, unchanged } = latex.history.diff(oldEntry, newEntry)
+
+    return (
+      <div>
+        <div className='latex-history-summary'>
+          {`${added.length} new, ${removed.length} resolved and ${unchanged.length} unchanged messages.`}
+        </div>
+        <h4>New Messages</h4>
+        {this.renderMessages(added)}
+        <h4>Resolved Messages</h4>
+        {this.renderMessages(removed)}
+      </div>
+    )
+  }
+
+  renderMessages (messages) {
+    const content = messages
+      .filter(message => latex.log.messageTypeIsVisible(message.type))
+      .map(message => <LogMessage message={message} />)
+
+    return (
+      <table>
+        <thead>
+          <tr>
+            <th />
+            <th>Message</th>
+            <th>Source&nbsp;File</th>
+            <th>Log&nbsp;File</th>
+          </tr>
+        </thead>
+        <tbody>{content}</tbody>
+      </table>
+    )
+  }
+
+  // Up to two builds can be selected. Selecting another build replaces the
+  // build that was selected first.
+  select (id) {
+    if (this.selectedIds.includes(id)) {
+      this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id)
+    } else {
+      this.selectedIds = this.selectedIds.concat([id]).slice(-2)
+    }
+    return etch.update(this)
+  }
+
+  update (properties) {
+    this.properties = properties
+    return etch.update(this)
+  }
+}
@@ -0,0 +1,119 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import FileReference from './file-reference'
+
+// Describe a job by its name followed by the settings that are specific to it,
+// i.e. `print (engine: lualatex)`.
+function describeJob (jobState) {
+  const overrides = Object.entries(jobState.getOverrides()).map(([name, value]) => `${name}: ${value}`)
+  const jobName = jobState.getJobName() || ''
+  return overrides.length > 0 ? `${jobName} (${overrides.join(', ')})`.trim() : jobName
+}
+
+const SETTINGS = [
+  ['builder', 'Builder', state => state.getBuilder()],
+  ['engine', 'Engine', state => state.getEngine()],
+  ['outputFormat', 'Output Format', state => state.getOutputFormat()],
+  ['producer', 'Producer', state => state.getProducer()],
+  ['jobNames', 'Jobs', state => state.getJobStates().map(describeJob).filter(job => job).join(', ')],
+  ['outputDirectory', 'Output Directory', state => state.getOutputDirectory()],
+  ['preTex', 'Pre-TeX Code', state => state.getPreTex()],
+  ['environment', 'Environment', state => Object.entries(state.getEnvironment()).map(([name, value]) => `${name}=${value}`).join(', ')],
+  ['cleanPatterns', 'Clean Patterns', state => state.getCleanPatterns().join(', ')],
+  ['enableSynctex', 'SyncTeX', state => state.getEnableSynctex()],
+  ['enableShellEscape', 'Shell Escape', state => state.getEnableShellEscape()],
+  ['enableExtendedBuildMode', 'Extended Build Mode', state => state.getEnableExtendedBuildMode()],
+  ['moveResultToSourceDirectory', 'Move Result to Source Directory', state => state.getMoveResultToSourceDirectory()],
+  ['openResultAfterBuild', 'Open Result After Build', state => state.getOpenResultAfterBuild()]
+]
+
+export default class BuildStateView {
+  static BUILD_STATE_URI = 'atom://latex/build-state'
+
+  constructor (properties = {}) {
+    this.properties = properties
+    etch.initialize(this)
+  }
+
+  async destroy () {
+    await etch.destroy(this)
+  }
+
+  render () {
+    const { state, builderName } = this.properties
+
+    if (!state) {
+      return <div className='latex-build-state'>Run <code>LaTeX: Show Build State</code> from a LaTeX file.</div>
+    }
+
+    return (
+      <div className='latex-build-state native-key-bindings' tabIndex='-1'>
+        <table>
+          <thead>
+            <tr>
+              <th>Setting</th>
+              <th>Value</th>
+              <th>Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Root File</td>
+              <td><FileReference file={state.getFilePath()} /></td>
+              <td>{this.renderSource(state.getSettingSource('root'), 'the file being edited')}</td>
+            </tr>
+            <tr>
+              <td>Resolved Builder</td>
+              <td>{builderName || ''}</td>
+              <td>builder registry</td>
+            </tr>
+            {SETTINGS.map(([name, label, getValue]) => (
+              <tr>
+                <td>{label}</td>
+                <td>{this.formatValue(getValue(state))}</td>
+                <td>{this.renderSource(state.getSettingSource(name), 'default')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )
+  }
+
+  renderSource (source, defaultText) {
+    if (!source) return <span>{defaultText}</span>
+
+    switch (source.type) {
+      case 'config':
+        return <span>{`package config (${source.name})`}</span>
+      case 'discovery':
+        return <span>root file discovery</span>
+      case 'profile':
+        return <span>{`build profile ${source.name}`}</span>
+      case 'magic':
+        return <span>{`magic comment (${source.name}) in `}<FileReference file={source.filePath} range={source.range} /></span>
+      case 'settings':
+        return <span>{`settings file (${source.name}) in `}<FileReference file={source.filePath} range={source.range} /></span>
+    }
+  }
+
+  formatValue (value) {
+    if (value === undefined || value === null || value === '') return ''
+    return String(value)
+  }
+
+  update (properties) {
+    this.properties = properties
+    return etch.update(this)
+  }
+
+  getTitle () {
+    return 'LaTeX Build State'
+  }
+
+  getURI () {
+    return BuildStateView.BUILD_STATE_URI
+  }
+}
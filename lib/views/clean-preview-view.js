@@ -0,0 +1,92 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import path from 'path'
+import { CompositeDisposable } from 'atom'
+
+// Lists the files that a clean would remove so that files can be deselected
+// before anything is removed. onDidConfirm is called with the selected files.
+export default class CleanPreviewView {
+  disposables = new CompositeDisposable()
+
+  constructor (properties = {}) {
+    this.properties = properties
+    this.selectedFilePaths = new Set(properties.filePaths)
+    etch.initialize(this)
+    this.disposables.add(atom.commands.add(this.element, {
+      'core:confirm': () => this.confirm(),
+      'core:cancel': () => this.cancel()
+    }))
+  }
+
+  async destroy () {
+    this.disposables.dispose()
+    await etch.destroy(this)
+  }
+
+  render () {
+    const { filePaths, basePath, moveToTrash } = this.properties
+    const count = this.selectedFilePaths.size
+
+    return (
+      <div className='latex-clean-preview' tabIndex='-1'>
+        <div className='block'>
+          {moveToTrash ? 'Select the files to move to the trash.' : 'Select the files to delete.'}
+        </div>
+        <ul className='list-group latex-clean-files'>
+          {filePaths.map(filePath => (
+            <li className='list-item'>
+              <label className='input-label'>
+                <input
+                  className='input-checkbox'
+                  type='checkbox'
+                  checked={this.selectedFilePaths.has(filePath)}
+                  onchange={() => this.toggle(filePath)} />
+                {this.describeFile(filePath, basePath)}
+              </label>
+            </li>
+          ))}
+        </ul>
+        <div className='block'>
+          <button className='btn btn-error' disabled={count === 0} onclick={() => this.confirm()}>
+            {`${moveToTrash ? 'Move to Trash' : 'Delete'} (${count})`}
+          </button>
+          <button className='btn' onclick={() => this.cancel()}>Cancel</button>
+        </div>
+      </div>
+    )
+  }
+
+  describeFile (filePath, basePath) {
+    const relativePath = path.relative(basePath, filePath) || filePath
+    return this.properties.directoryPaths && this.properties.directoryPaths.includes(filePath)
+      ? `${relativePath}${path.sep}`
+      : relativePath
+  }
+
+  toggle (filePath) {
+    if (this.selectedFilePaths.has(filePath)) {
+      this.selectedFilePaths.delete(filePath)
+    } else {
+      this.selectedFilePaths.add(filePath)
+    }
+    etch.update(this)
+  }
+
+  confirm () {
+    const { filePaths, onDidConfirm } = this.properties
+    if (this.selectedFilePaths.size === 0) return
+    onDidConfirm(filePaths.filter(filePath => this.selectedFilePaths.has(filePath)))
+  }
+
+  cancel () {
+    this.properties.onDidCancel()
+  }
+
+  update (properties) {
+    this.properties = properties
+    this.selectedFilePaths = new Set(properties.filePaths)
+    return etch.update(this)
+  }
+}
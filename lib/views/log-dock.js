@@ -4,16 +4,21 @@
 import etch from 'etch'
 import { CompositeDisposable } from 'atom'
 import LogMessage from './log-message'
+import BuildHistoryView from './build-history-view'
 
 export default class LogDock {
   static LOG_DOCK_URI = 'atom://latex/log'
 
   disposables = new CompositeDisposable()
+  view = 'messages'
 
   constructor (properties = {}) {
     this.properties = properties
     etch.initialize(this)
     this.disposables.add(latex.log.onMessages(() => this.update()))
+    this.disposables.add(latex.log.onOutput(() => {
+      if (this.view === 'output') etch.update(this)
+    }))
   }
 
   async destroy () {
@@ -22,33 +27,83 @@ export default class LogDock {
   }
 
   render () {
-    let content = latex.log.getMessages().map(message => <LogMessage message={message} filePath={this.properties.filePath} position={this.properties.position} />)
-
     return (
       <div className='latex-log' ref='body'>
-        <div className='log-block expand'>
-          <table>
-            <thead>
-              <tr>
-                <th />
-                <th>Message</th>
-                <th>Source&nbsp;File</th>
-                <th>Log&nbsp;File</th>
-              </tr>
-            </thead>
-            <tbody>{content}</tbody>
-          </table>
+        <div className='log-block'>
+          <div className='btn-group'>
+            {this.renderViewButton('messages', 'Messages')}
+            {this.renderViewButton('output', 'Output')}
+            {this.renderViewButton('history', 'History')}
+          </div>
         </div>
+        {this.renderView()}
+      </div>
+    )
+  }
+
+  renderViewButton (view, label) {
+    const className = (view === this.view) ? 'btn selected' : 'btn'
+    return <button className={className} onclick={() => this.setView(view)}>{label}</button>
+  }
+
+  renderView () {
+    switch (this.view) {
+      case 'output':
+        return this.renderOutput()
+      case 'history':
+        return <BuildHistoryView />
+      default:
+        return this.renderMessages()
+    }
+  }
+
+  renderMessages () {
+    let content = latex.log.getMessages().map(message => <LogMessage message={message} filePath={this.properties.filePath} position={this.properties.position} />)
+
+    return (
+      <div className='log-block expand'>
+        <table>
+          <thead>
+            <tr>
+              <th />
+              <th>Message</th>
+              <th>Source&nbsp;File</th>
+              <th>Log&nbsp;File</th>
+            </tr>
+          </thead>
+          <tbody>{content}</tbody>
+        </table>
+      </div>
+    )
+  }
+
+  renderOutput () {
+    return (
+      <div className='log-block expand' ref='output'>
+        <pre className='latex-output'>{latex.log.getOutput()}</pre>
       </div>
     )
   }
 
+  setView (view) {
+    this.view = view
+    return etch.update(this)
+  }
+
   update (properties = {}) {
     this.properties = properties
+    // Synchronizing the log highlights messages so show them.
+    if (properties.filePath) this.view = 'messages'
     return etch.update(this)
   }
 
   readAfterUpdate () {
+    // Keep the latest output visible while the build is running.
+    if (this.view === 'output') {
+      this.refs.output.scrollTop = this.refs.output.scrollHeight
+      return
+    }
+
     // Look for highlighted messages and scroll to them
     const highlighted = this.refs.body.getElementsByClassName('latex-highlight')
     if (highlighted.length) {
@@ -23,13 +23,54 @@ export default class LogMessage {
     return (
       <tr className={this.getClassNames(message)}>
         <td><MessageIcon type={message.type} /></td>
-        <td>{lines}</td>
+        <td>
+          {this.renderToggle(message)}
+          {lines}
+          {this.renderInstall(message)}
+          {this.renderDetails(message)}
+        </td>
         <td><FileReference file={message.filePath} range={message.range} /></td>
         <td><FileReference file={message.logPath} range={message.logRange} /></td>
       </tr>
     )
   }
 
+  renderToggle (message) {
+    if (!message.details && !message.snippet) return <span />
+
+    const icon = this.expanded ? 'chevron-down' : 'chevron-right'
+    return <span className={`icon icon-${icon} latex-message-toggle`} onclick={() => this.toggle()} />
+  }
+
+  renderInstall (message) {
+    if (!message.missingFile) return <span />
+
+    return (
+      <button className='btn btn-xs latex-install-package' onclick={() => latex.composer.installMissingFile(message.missingFile)}>
+        Install Package
+      </button>
+    )
+  }
+
+  renderDetails (message) {
+    if (!this.expanded) return <span />
+
+    const snippet = message.snippet ? <div className='latex-message-snippet'><code>{message.snippet}</code></div> : <span />
+    const details = message.details ? <pre className='latex-message-details'>{message.details}</pre> : <span />
+
+    return (
+      <div>
+        {snippet}
+        {details}
+      </div>
+    )
+  }
+
+  toggle () {
+    this.expanded = !this.expanded
+    return etch.update(this)
+  }
+
   getClassNames (message) {
     const className = `latex-${message.type}`
 
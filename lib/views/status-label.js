@@ -3,6 +3,7 @@
 
 import etch from 'etch'
 import MessageCount from './message-count'
+import WordCountView from './word-count-view'
 
 export default class StatusLabel {
   constructor (properties = {}) {
@@ -21,7 +22,10 @@ export default class StatusLabel {
     return (
       <div className={this.getClassNames()} onclick={() => latex.log.show()}>
         <span className='icon icon-sync busy' />
+        <span className='icon icon-eye watching' />
         <a href='#'>LaTeX</a>
+        {this.renderProfile()}
+        {this.renderWordCount()}
         <MessageCount type='error' />
         <MessageCount type='warning' />
         <MessageCount type='info' />
@@ -29,11 +33,37 @@ export default class StatusLabel {
     )
   }
 
+  renderProfile () {
+    if (!this.properties.profile) return <span />
+
+    const onclick = event => {
+      event.stopPropagation()
+      latex.composer.selectProfile()
+    }
+
+    return <a href='#' className='latex-profile' onclick={onclick}>{this.properties.profile}</a>
+  }
+
+  renderWordCount () {
+    if (typeof this.properties.wordCount !== 'number') return <span />
+
+    const onclick = event => {
+      event.stopPropagation()
+      atom.workspace.open(WordCountView.WORD_COUNT_URI)
+    }
+
+    return <a href='#' className='latex-word-count-summary' onclick={onclick}>{`${this.properties.wordCount} words`}</a>
+  }
+
   getClassNames () {
-    const className = `latex-status inline-block`
+    let className = `latex-status inline-block`
 
     if (this.properties.busy) {
-      return `${className} is-busy`
+      className += ' is-busy'
+    }
+
+    if (this.properties.watching) {
+      className += ' is-watching'
     }
 
     return className
@@ -49,6 +79,9 @@ export default class StatusLabel {
       this.tooltip.dispose()
       this.tooltip = null
     }
-    this.tooltip = atom.tooltips.add(this.element, { title: 'Click to show LaTeX log' })
+    const title = this.properties.watching
+      ? 'Watching for changes. Click to show LaTeX log'
+      : 'Click to show LaTeX log'
+    this.tooltip = atom.tooltips.add(this.element, { title })
   }
 }
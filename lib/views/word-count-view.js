@@ -0,0 +1,97 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import { CompositeDisposable } from 'atom'
+import FileReference from './file-reference'
+
+function sum ({ text, headers, captions }) {
+  return text + headers + captions
+}
+
+export default class WordCountView {
+  static WORD_COUNT_URI = 'atom://latex/word-count'
+
+  disposables = new CompositeDisposable()
+
+  constructor (properties = {}) {
+    this.properties = properties
+    etch.initialize(this)
+    if (properties.wordCounter) {
+      this.disposables.add(properties.wordCounter.onDidCount(() => etch.update(this)))
+    }
+  }
+
+  async destroy () {
+    this.disposables.dispose()
+    await etch.destroy(this)
+  }
+
+  render () {
+    const count = this.properties.wordCounter && this.properties.wordCounter.getLastCount()
+
+    if (!count) {
+      return <div className='latex-word-count'>Run <code>LaTeX: Word Count</code> from a LaTeX file.</div>
+    }
+
+    return (
+      <div className='latex-word-count native-key-bindings' tabIndex='-1'>
+        <table>
+          <thead>
+            <tr>
+              <th>File / Section</th>
+              <th>Text</th>
+              <th>Headers</th>
+              <th>Captions</th>
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[].concat(...count.files.map(file => this.renderFile(file)))}
+            {this.renderCounts(<b>Total</b>, count.total, 'latex-word-count-total')}
+          </tbody>
+        </table>
+      </div>
+    )
+  }
+
+  renderFile (file) {
+    return [this.renderCounts(<FileReference file={file.filePath} />, file, 'latex-word-count-file')].concat(
+      file.sections.map(section => this.renderCounts(this.describeSection(section), section, 'latex-word-count-section')))
+  }
+
+  renderCounts (label, counts, className) {
+    return (
+      <tr className={className}>
+        <td>{label}</td>
+        <td>{counts.text}</td>
+        <td>{counts.headers}</td>
+        <td>{counts.captions}</td>
+        <td>{sum(counts)}</td>
+      </tr>
+    )
+  }
+
+  describeSection (section) {
+    // texcount names the text before the first section `_top_`.
+    if (!section.type) return section.title === '_top_' ? 'Before the first section' : section.title
+    return `${section.type}: ${section.title}`
+  }
+
+  update (properties) {
+    this.properties = properties
+    return etch.update(this)
+  }
+
+  getTitle () {
+    return 'LaTeX Word Count'
+  }
+
+  getURI () {
+    return WordCountView.WORD_COUNT_URI
+  }
+
+  getDefaultLocation () {
+    return 'right'
+  }
+}
@@ -68,6 +68,41 @@ export default {
     return _.reduce(properties, (current, value, name) => current.replace(`{${name}}`, value), text)
   },
 
+  // Find the index of the `%` that starts a comment in a line of TeX code, or
+  // -1 if there is no comment. Escaped `%` and the arguments of \verb are
+  // skipped.
+  findComment (line) {
+    for (let index = 0; index < line.length; index++) {
+      if (line[index] !== '\\') {
+        if (line[index] === '%') return index
+        continue
+      }
+
+      const match = line.slice(index).match(/^\\verb\*?([^a-zA-Z*\s])/)
+      if (match) {
+        const end = line.indexOf(match[1], index + match[0].length)
+        if (end === -1) return -1
+        index = end
+      } else {
+        index++
+      }
+    }
+
+    return -1
+  },
+
+  // Compare two dotted version numbers, i.e. `4.61` and `4.100`. Returns a
+  // negative number if a is older than b and a positive number if it is newer.
+  compareVersions (a, b) {
+    const left = a.split('.').map(part => parseInt(part, 10) || 0)
+    const right = b.split('.').map(part => parseInt(part, 10) || 0)
+    for (let index = 0; index < Math.max(left.length, right.length); index++) {
+      const difference = (left[index] || 0) - (right[index] || 0)
+      if (difference !== 0) return difference
+    }
+    return 0
+  },
+
   isSourceFile (filePath) {
     return filePath && !!filePath.match(/\.(?:tex|tikz|lhs|lagda|[prs]nw)$/i)
   },
@@ -0,0 +1,79 @@
+/** @babel */
+
+import path from 'path'
+import { CompositeDisposable, Disposable, Emitter } from 'atom'
+import TexcountParser from './parsers/texcount-parser'
+
+// Counts the words of a root file and the files it includes with texcount. The
+// last count of each root file is kept so that it can be updated after builds.
+export default class WordCounter extends Disposable {
+  disposables = new CompositeDisposable()
+  emitter = new Emitter()
+  counts = new Map()
+  lastCount = null
+
+  constructor () {
+    super(() => this.disposables.dispose())
+    this.disposables.add(this.emitter)
+  }
+
+  onDidCount (callback) {
+    return this.emitter.on('did-count', callback)
+  }
+
+  hasCount (filePath) {
+    return this.counts.has(filePath)
+  }
+
+  getLastCount () {
+    return this.lastCount
+  }
+
+  async count (builder, jobState) {
+    const texFilePath = jobState.getTexFilePath()
+    const directoryPath = path.dirname(texFilePath)
+    // Counting is not part of a build, so it gets its own process group and
+    // is neither killed by a new build of the root file nor kills one.
+    const options = Object.assign(builder.constructChildProcessOptions(directoryPath, {}, jobState), {
+      processGroup: `${jobState.getFilePath()}:texcount`
+    })
+    const args = ['-inc', '-sub=section', '-nocol', '-utf8', `"${path.basename(texFilePath)}"`]
+
+    // texcount is run by the execution backend of the builder, just like the
+    // build itself.
+    const { statusCode, stdout, stderr } = await builder.executeChildProcess(`texcount ${args.join(' ')}`, options, jobState)
+
+    if (statusCode !== 0) {
+      this.logStatusCode(statusCode, stderr, jobState)
+      return null
+    }
+
+    const { files: containerFiles, total, messages } = new TexcountParser(stdout, texFilePath).parse()
+    const files = builder.toHostMessages(builder.getExecutionBackend(jobState), containerFiles)
+    latex.log.showMessages(messages.map(message => Object.assign({ filePath: texFilePath }, message)), jobState.getFilePath())
+
+    if (!total) {
+      latex.log.showMessages([{ type: 'error', text: 'Unable to read the word count from the output of texcount.' }], jobState.getFilePath())
+      return null
+    }
+
+    const count = { filePath: jobState.getFilePath(), files, total }
+    this.counts.set(count.filePath, count)
+    this.lastCount = count
+    latex.status.showWordCount(total.text + total.headers + total.captions)
+    this.emitter.emit('did-count', count)
+
+    return count
+  }
+
+  logStatusCode (statusCode, stderr, jobState) {
+    let text
+    if (statusCode === 127) {
+      text = 'texcount was not found. Make sure it is installed and latex.texPath is configured correctly.'
+    } else {
+      const errorOutput = stderr ? ` and output of "${stderr.trim()}"` : ''
+      text = `texcount failed with status code ${statusCode}${errorOutput}.`
+    }
+    latex.log.showMessages([{ type: 'error', text }], jobState.getFilePath())
+  }
+}
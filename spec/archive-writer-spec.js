@@ -0,0 +1,80 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import zlib from 'zlib'
+import ArchiveWriter from '../lib/archive-writer'
+
+// Read the entries of a tar archive, taking the names of pax extended headers
+// into account.
+function readTar (tar) {
+  const entries = []
+  let offset = 0
+  let paxName
+
+  while (offset < tar.length && tar[offset] !== 0) {
+    const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/, '')
+    const size = parseInt(field(124, 12), 8)
+    const data = tar.toString('utf8', offset + 512, offset + 512 + size)
+    const prefix = field(345, 155)
+
+    if (field(156, 1) === 'x') {
+      paxName = data.match(/^\d+ path=(.*)\n$/)[1]
+    } else {
+      entries.push({ name: paxName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100)), data })
+      paxName = undefined
+    }
+
+    offset += 512 + Math.ceil(size / 512) * 512
+  }
+
+  return entries
+}
+
+describe('ArchiveWriter', () => {
+  describe('toBuffer', () => {
+    it('writes a gzipped tar archive', () => {
+      const writer = new ArchiveWriter('tar.gz')
+      writer.addFile('sub/file.tex', 'foo')
+
+      const tar = zlib.gunzipSync(writer.toBuffer())
+
+      expect(tar.length).toBe(4 * 512)
+      expect(tar.toString('utf8', 0, 12)).toBe('sub/file.tex')
+      expect(tar.toString('utf8', 257, 262)).toBe('ustar')
+      expect(tar.toString('utf8', 512, 515)).toBe('foo')
+    })
+
+    it('splits long names into a prefix and a name', () => {
+      const directory = 'a'.repeat(120)
+      const writer = new ArchiveWriter('tar.gz')
+
+      expect(writer.splitTarName(`${directory}/file.tex`)).toEqual({ name: 'file.tex', prefix: directory })
+      expect(writer.splitTarName(`${'b'.repeat(110)}.tex`)).toBeNull()
+    })
+
+    it('keeps long names that cannot be split when the archive is read back', () => {
+      const names = [`${'b'.repeat(110)}.tex`, `figures/${'c'.repeat(120)}.png`, `${'a'.repeat(120)}/file.tex`]
+      const writer = new ArchiveWriter('tar.gz')
+      for (const name of names) writer.addFile(name, name)
+
+      const entries = readTar(zlib.gunzipSync(writer.toBuffer()))
+
+      expect(entries).toEqual(names.map(name => ({ name, data: name })))
+    })
+
+    it('writes a zip archive', () => {
+      const writer = new ArchiveWriter('zip')
+      writer.addFile('file.tex', 'foo')
+
+      const zip = writer.toBuffer()
+      const compressedSize = zip.readUInt32LE(18)
+
+      expect(zip.readUInt32LE(0)).toBe(0x04034b50)
+      expect(zip.toString('utf8', 30, 38)).toBe('file.tex')
+      expect(zlib.inflateRawSync(zip.slice(38, 38 + compressedSize)).toString()).toBe('foo')
+      expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054b50)
+    })
+  })
+})
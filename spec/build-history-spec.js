@@ -0,0 +1,106 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import BuildHistory from '../lib/build-history'
+import BuildState from '../lib/build-state'
+
+describe('BuildHistory', () => {
+  let history, state
+
+  function addBuild (messages, statusCode = 0) {
+    const entry = history.startBuild(state, 'latexmk')
+    history.finishBuild(entry, statusCode, messages)
+    return entry
+  }
+
+  beforeEach(() => {
+    history = new BuildHistory()
+    state = new BuildState('/foo/bar.tex')
+    state.setEngine('xelatex')
+    state.setJobNames(['foo', null])
+  })
+
+  afterEach(() => {
+    history.dispose()
+  })
+
+  describe('startBuild and finishBuild', () => {
+    it('records the build properties and a snapshot of the messages', () => {
+      const messages = [{ type: 'error', text: 'foo' }]
+      const entry = addBuild(messages, 12)
+      messages[0].text = 'bar'
+
+      expect(entry.filePath).toBe('/foo/bar.tex')
+      expect(entry.builder).toBe('latexmk')
+      expect(entry.engine).toBe('xelatex')
+      expect(entry.jobNames).toEqual(['foo'])
+      expect(entry.statusCode).toBe(12)
+      expect(entry.endTime).not.toBeLessThan(entry.startTime)
+      expect(entry.messages).toEqual([{ type: 'error', text: 'foo' }])
+    })
+
+    it('notifies listeners', () => {
+      const listener = jasmine.createSpy('onDidUpdate')
+      history.onDidUpdate(listener)
+
+      addBuild([])
+
+      expect(listener.callCount).toBe(2)
+    })
+
+    it('only keeps the configured number of builds', () => {
+      atom.config.set('latex.buildHistorySize', 2)
+
+      addBuild([])
+      const second = addBuild([])
+      const third = addBuild([])
+
+      expect(history.getEntries()).toEqual([second, third])
+    })
+  })
+
+  describe('diff', () => {
+    it('reports new, resolved and unchanged messages', () => {
+      const oldEntry = addBuild([
+        { type: 'warning', text: 'foo', filePath: '/foo/bar.tex', range: [[1, 0], [1, 10]] },
+        { type: 'warning', text: 'bar' }
+      ])
+      const newEntry = addBuild([
+        { type: 'warning', text: 'foo', filePath: '/foo/bar.tex', range: [[5, 0], [5, 10]] },
+        { type: 'error', text: 'quux' }
+      ])
+
+      const { added, removed, unchanged } = history.diff(oldEntry, newEntry)
+
+      expect(added.map(message => message.text)).toEqual(['quux'])
+      expect(removed.map(message => message.text)).toEqual(['bar'])
+      expect(unchanged.map(message => message.text)).toEqual(['foo'])
+    })
+
+    it('reports repeated messages that occur more often as new', () => {
+      const oldEntry = addBuild([{ type: 'warning', text: 'foo' }])
+      const newEntry = addBuild([{ type: 'warning', text: 'foo' }, { type: 'warning', text: 'foo' }])
+
+      const { added, removed } = history.diff(oldEntry, newEntry)
+
+      expect(added.length).toBe(1)
+      expect(removed.length).toBe(0)
+    })
+  })
+
+  describe('serialize and deserialize', () => {
+    it('restores the finished builds', () => {
+      const entry = addBuild([{ type: 'error', text: 'foo' }])
+      history.startBuild(state, 'latexmk')
+
+      const restored = new BuildHistory()
+      restored.deserialize(JSON.parse(JSON.stringify(history.serialize())))
+
+      expect(restored.getEntries()).toEqual([entry])
+      expect(restored.startBuild(state, 'latexmk').id).toBe(entry.id + 1)
+      restored.dispose()
+    })
+  })
+})
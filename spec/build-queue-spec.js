@@ -0,0 +1,94 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import BuildQueue from '../lib/build-queue'
+
+describe('BuildQueue', () => {
+  let queue
+
+  function createTask (result) {
+    let finish
+    const task = jasmine.createSpy('task').andCallFake(() => new Promise(resolve => {
+      finish = () => resolve(result)
+    }))
+    task.finish = () => finish()
+    return task
+  }
+
+  beforeEach(() => {
+    queue = new BuildQueue()
+    spyOn(latex.process, 'killChildProcesses')
+  })
+
+  afterEach(() => {
+    queue.dispose()
+  })
+
+  it('starts a task immediately when no delay is given', async () => {
+    const task = createTask('foo')
+
+    const promise = queue.enqueue('/foo.tex', task)
+    expect(task).toHaveBeenCalled()
+    task.finish()
+
+    expect(await promise).toBe('foo')
+    expect(queue.isBuilding('/foo.tex')).toBe(false)
+  })
+
+  it('coalesces requests made during the delay and only runs the last one', async () => {
+    const first = createTask('first')
+    const second = createTask('second')
+
+    const firstPromise = queue.enqueue('/foo.tex', first, 500)
+    advanceClock(400)
+    const secondPromise = queue.enqueue('/foo.tex', second, 500)
+    advanceClock(400)
+
+    expect(first).not.toHaveBeenCalled()
+    expect(second).not.toHaveBeenCalled()
+
+    advanceClock(100)
+    expect(second).toHaveBeenCalled()
+    second.finish()
+
+    expect(await firstPromise).toBe('second')
+    expect(await secondPromise).toBe('second')
+    expect(first).not.toHaveBeenCalled()
+  })
+
+  it('kills the running build of the same root file before starting a new one', async () => {
+    const first = createTask('first')
+    const second = createTask('second')
+
+    const firstPromise = queue.enqueue('/foo.tex', first)
+    const secondPromise = queue.enqueue('/foo.tex', second)
+
+    expect(latex.process.killChildProcesses).toHaveBeenCalledWith('/foo.tex')
+    expect(second).not.toHaveBeenCalled()
+
+    first.finish()
+    expect(await firstPromise).toBe('first')
+    expect(second).toHaveBeenCalled()
+
+    second.finish()
+    expect(await secondPromise).toBe('second')
+  })
+
+  it('builds different root files in parallel', () => {
+    const foo = createTask()
+    const bar = createTask()
+
+    queue.enqueue('/foo.tex', foo)
+    queue.enqueue('/bar.tex', bar)
+
+    expect(foo).toHaveBeenCalled()
+    expect(bar).toHaveBeenCalled()
+    expect(latex.process.killChildProcesses).not.toHaveBeenCalled()
+    expect(queue.hasOtherBuilds('/foo.tex')).toBe(true)
+
+    foo.finish()
+    bar.finish()
+  })
+})
@@ -14,7 +14,6 @@ describe('BuilderRegistry', () => {
   beforeEach(async () => {
     await activatePackages()
 
-    atom.config.set('latex.builder', 'latexmk')
     builderRegistry = new BuilderRegistry()
   })
 
@@ -24,16 +23,58 @@ describe('BuilderRegistry', () => {
       expect(builderRegistry.getBuilderImplementation(state)).toBeNull()
     })
 
-    it('returns the configured builder when given a regular .tex file', () => {
+    it('returns the highest priority builder when given a regular .tex file', () => {
       const state = new BuildState('foo.tex')
       expect(builderRegistry.getBuilderImplementation(state).name).toEqual('LatexmkBuilder')
     })
 
-    it('throws an error when unable to resolve ambiguous builder registration', () => {
-      const allBuilders = builderRegistry.getAllBuilders().push(NullBuilder)
+    it('resolves multiple candidate builders by priority instead of throwing an error', () => {
+      const builders = builderRegistry.getBuilders()
+      builders.set('null', NullBuilder)
+      spyOn(builderRegistry, 'getBuilders').andReturn(builders)
       const state = new BuildState('foo.tex')
-      spyOn(builderRegistry, 'getAllBuilders').andReturn(allBuilders)
-      expect(() => { builderRegistry.getBuilderImplementation(state) }).toThrow()
+
+      expect(builderRegistry.getBuilderImplementation(state).name).toEqual('LatexmkBuilder')
+    })
+
+    it('returns the explicitly requested builder even if it has a lower priority', () => {
+      const state = new BuildState('foo.tex')
+      state.setBuilder('tectonic')
+      expect(builderRegistry.getBuilderImplementation(state).name).toEqual('TectonicBuilder')
+    })
+
+    it('records the reason the builder was selected on the build state', () => {
+      spyOn(latex.log, 'info')
+      const state = new BuildState('foo.tex')
+      state.setBuilder('tectonic')
+      builderRegistry.getBuilderImplementation(state)
+
+      expect(state.getBuilderMessages()).toEqual([
+        { type: 'info', text: 'Using the tectonic builder since it was explicitly requested.' }
+      ])
+      expect(latex.log.info).not.toHaveBeenCalled()
+    })
+
+    it('records why a requested builder was ignored', () => {
+      const state = new BuildState('foo.tex')
+      state.setBuilder('wibble')
+      builderRegistry.getBuilderImplementation(state)
+
+      const [ignored, used] = state.getBuilderMessages()
+      expect(ignored.text).toBe('Ignoring the requested wibble builder since no builder with that name is registered.')
+      expect(used.text).toMatch(/^Using the latexmk builder since it has the highest priority \(10\)/)
+    })
+
+    it('falls back to priority when the requested builder cannot process the file', () => {
+      const state = new BuildState('foo.tex')
+      state.setBuilder('knitr')
+      expect(builderRegistry.getBuilderImplementation(state).name).toEqual('LatexmkBuilder')
+    })
+
+    it('falls back to priority when the requested builder does not exist', () => {
+      const state = new BuildState('foo.tex')
+      state.setBuilder('wibble')
+      expect(builderRegistry.getBuilderImplementation(state).name).toEqual('LatexmkBuilder')
     })
 
     it('returns the Knitr builder when presented with an .Rnw file', () => {
@@ -43,10 +84,6 @@ describe('BuilderRegistry', () => {
   })
 
   describe('getBuilder', () => {
-    beforeEach(() => {
-      atom.config.set('latex.builder', 'latexmk')
-    })
-
     it('returns null when passed an unhandled file type', () => {
       const state = new BuildState('quux.txt')
       expect(builderRegistry.getBuilder(state)).toBeNull()
@@ -62,4 +99,22 @@ describe('BuilderRegistry', () => {
       expect(builderRegistry.getBuilder(state).constructor.name).toEqual('KnitrBuilder')
     })
   })
+
+  describe('registerBuilder', () => {
+    it('makes registered builders available until the registration is disposed', () => {
+      const disposable = builderRegistry.registerBuilder('null', NullBuilder)
+      expect(builderRegistry.getAllBuilders()).toContain(NullBuilder)
+
+      const state = new BuildState('foo.tex')
+      state.setBuilder('null')
+      expect(builderRegistry.getBuilderImplementation(state)).toBe(NullBuilder)
+
+      disposable.dispose()
+      expect(builderRegistry.getAllBuilders()).not.toContain(NullBuilder)
+    })
+
+    it('throws an error when a builder with the same name is already registered', () => {
+      expect(() => { builderRegistry.registerBuilder('latexmk', NullBuilder) }).toThrow()
+    })
+  })
 })
@@ -4,6 +4,7 @@
 import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
 import { cloneFixtures } from './spec-helpers'
 
+import fs from 'fs-plus'
 import path from 'path'
 import Builder from '../lib/builder'
 import BuildState from '../lib/build-state'
@@ -77,6 +78,33 @@ describe('Builder', () => {
     })
   })
 
+  describe('constructChildProcessOptions', () => {
+    it('does not stop idle processes since only latexmk builds always produce output', () => {
+      atom.config.set('latex.idleTimeout', 60)
+
+      expect(builder.constructChildProcessOptions(fixturesPath, {}, jobState).idleTimeout).toBeUndefined()
+    })
+
+    it('sets the environment variables of the build state', () => {
+      state.setEnvironment({ TEXINPUTS: ['styles'], BIBINPUTS: '$HOME/bib:$BIBINPUTS', DOCUMENT: 'file' })
+
+      const { env } = builder.constructChildProcessOptions(fixturesPath, { max_print_line: 1000 }, jobState)
+
+      expect(env.TEXINPUTS).toBe(['styles', process.env.TEXINPUTS || ''].join(path.delimiter))
+      expect(env.BIBINPUTS).toBe(`${process.env.HOME}/bib:${process.env.BIBINPUTS || ''}`)
+      expect(env.DOCUMENT).toBe('file')
+      expect(env.max_print_line).toBe(process.env.max_print_line || 1000)
+    })
+
+    it('uses the environment of the package config without a job', () => {
+      atom.config.set('latex.environment', { TEXINPUTS: 'styles:' })
+
+      const { env } = builder.constructChildProcessOptions(fixturesPath)
+
+      expect(env.TEXINPUTS).toBe('styles:')
+    })
+  })
+
   describe('parseLogFile', () => {
     let logParser
 
@@ -102,9 +130,96 @@ describe('Builder', () => {
     it('attempts to parse the resolved log file', () => {
       builder.parseLogFile(jobState)
 
-      expect(builder.getLogParser).toHaveBeenCalledWith(logFilePath, filePath)
+      expect(builder.getLogParser).toHaveBeenCalledWith(logFilePath, filePath, undefined)
       expect(logParser.parse).toHaveBeenCalled()
     })
+
+    it('passes the max_print_line of the build environment to the log parser', () => {
+      spyOn(builder, 'getDefaultEnvironment').andReturn({ max_print_line: 1000 })
+      spyOn(jobState, 'getEnvironment').andReturn({ max_print_line: 2000 })
+
+      builder.parseLogFile(jobState)
+
+      expect(builder.getLogParser).toHaveBeenCalledWith(logFilePath, filePath, 2000)
+    })
+
+    it('translates the paths reported by the execution backend', () => {
+      atom.config.set('latex.executionWrapper', 'docker run --rm {volumes} texlive/texlive {command}')
+      atom.config.set('latex.executionPathMappings', [`${fixturesPath}:/workdir`])
+      logParser.parse.andReturn({
+        outputFilePath: '/workdir/file.pdf',
+        messages: [{ type: 'error', text: 'foo', filePath: '/workdir/file.tex' }]
+      })
+
+      builder.parseLogFile(jobState)
+
+      expect(jobState.getOutputFilePath()).toBe(path.join(fixturesPath, 'file.pdf'))
+      expect(jobState.getLogMessages()[0].filePath).toBe(filePath)
+    })
+  })
+
+  describe('getExecutionBackend', () => {
+    it('uses the project of the directory for commands that are not part of a build', () => {
+      const backend = builder.getExecutionBackend(undefined, fixturesPath)
+
+      expect(backend.projectPath).toBe(atom.project.getPaths()[0])
+    })
+
+    it('uses no project if the directory is not in a project', () => {
+      const backend = builder.getExecutionBackend(undefined, path.dirname(atom.project.getPaths()[0]))
+
+      expect(backend.projectPath).toBeFalsy()
+    })
+  })
+
+  describe('executeChildProcess', () => {
+    beforeEach(() => {
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 0 }))
+    })
+
+    it('executes the command directly when no execution wrapper is configured', () => {
+      atom.config.set('latex.executionWrapper', '')
+      const options = builder.constructChildProcessOptions(fixturesPath, { max_print_line: 1000 }, jobState)
+
+      builder.executeChildProcess('latexmk', options, jobState)
+
+      expect(latex.process.executeChildProcess).toHaveBeenCalledWith('latexmk', options)
+    })
+
+    it('wraps the command when an execution wrapper is configured', () => {
+      atom.config.set('latex.executionWrapper', 'docker run --rm {volumes} -w {cwd} texlive/texlive {command}')
+      atom.config.set('latex.executionPathMappings', [`${fixturesPath}:/workdir`])
+      const options = builder.constructChildProcessOptions(fixturesPath, { max_print_line: 1000 }, jobState)
+
+      builder.executeChildProcess(`latexmk "${filePath}"`, options, jobState)
+
+      expect(latex.process.executeChildProcess).toHaveBeenCalledWith(
+        `docker run --rm -v "${fixturesPath}:/workdir" -w "/workdir" texlive/texlive env max_print_line='1000' latexmk "/workdir/file.tex"`,
+        options)
+    })
+
+    it('reports the step that was running when a process is killed', async () => {
+      const options = Object.assign(builder.constructChildProcessOptions(fixturesPath, {}, jobState), {
+        idleTimeout: 60000,
+        onOutput: () => {}
+      })
+      builder.executable = 'latexmk'
+      spyOn(builder, 'getStep').andCallFake(text => text === 'start' ? 'latexmk rule pdflatex' : undefined)
+      spyOn(latex.log, 'showMessages')
+      latex.process.executeChildProcess.andCallFake(async (command, { onOutput }) => {
+        onOutput('stdout', 'start')
+        onOutput('stdout', 'more output')
+        return { statusCode: null, killedBy: 'idle' }
+      })
+
+      const { statusCode } = await builder.executeChildProcess('latexmk', options, jobState)
+
+      expect(statusCode).toBe(-1)
+      const [messages, root] = latex.log.showMessages.mostRecentCall.args
+      expect(messages[0].type).toBe('error')
+      expect(messages[0].text).toMatch(/^latexmk rule pdflatex was stopped since it did not produce any output for 60 seconds\./)
+      expect(root).toBe(jobState.getFilePath())
+    })
   })
 
   describe('parseFdbFile', () => {
@@ -137,6 +252,97 @@ describe('Builder', () => {
     })
   })
 
+  describe('parseBlgFiles', () => {
+    beforeEach(() => {
+      state.setFilePath(path.join(fixturesPath, 'bibliography', 'bibtex.tex'))
+      jobState = state.getJobStates()[0]
+    })
+
+    it('adds the bibliography messages to the log messages', () => {
+      builder.parseLogAndFdbFiles(jobState)
+
+      const messages = jobState.getLogMessages()
+      expect(messages.some(message => message.text === 'empty journal in knuth')).toBe(true)
+      expect(messages.some(message => message.logPath === path.join(fixturesPath, 'bibliography', 'bibtex.blg'))).toBe(true)
+    })
+
+    it('does not add the bibliography messages again when the log file is missing', () => {
+      builder.parseLogAndFdbFiles(jobState)
+      spyOn(builder, 'resolveLogFilePath').andReturn(path.join(fixturesPath, 'bibliography', 'missing.log'))
+
+      builder.parseLogAndFdbFiles(jobState)
+
+      expect(jobState.getLogMessages()).toBeUndefined()
+    })
+
+    it('does not parse any bibliography logs if the log file could not be parsed', () => {
+      spyOn(builder, 'getBlgParser').andCallThrough()
+      jobState.setLogMessages(undefined)
+
+      builder.parseBlgFiles(jobState)
+
+      expect(builder.getBlgParser).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('parseIndexLogFiles', () => {
+    it('adds the index messages of the logs named after the job to the log messages', () => {
+      state.setFilePath(path.join(fixturesPath, 'index', 'index.tex'))
+      jobState = state.getJobStates()[0]
+      jobState.setLogMessages([])
+
+      builder.parseIndexLogFiles(jobState)
+
+      const texts = jobState.getLogMessages().map(message => message.text)
+      expect(texts).toContain('Unmatched range opening operator (.')
+      expect(texts).toContain('CHAR: index 0 should be less than the length of the string')
+    })
+  })
+
+  describe('hasUnchangedSources', () => {
+    const checksum = 'e2f7eacca0e6c4d22260c2d4b1150d46'
+
+    function setSourceFiles (files) {
+      jobState.setFileDatabase({ pdflatex: { files, source: Object.keys(files), generated: [] } })
+    }
+
+    it('returns true if all sources have the recorded checksums', () => {
+      setSourceFiles({
+        'file.tex': { time: 0, size: 108, checksum, rule: '' },
+        'file.aux': { time: 0, size: -1, checksum: '0', rule: '' }
+      })
+
+      expect(builder.hasUnchangedSources(jobState)).toBe(true)
+    })
+
+    it('returns false if a source has changed', () => {
+      setSourceFiles({ 'file.tex': { time: 0, size: 108, checksum, rule: '' } })
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, { encoding: 'utf-8' }).replace('document', 'DOCUMENT'))
+
+      expect(builder.hasUnchangedSources(jobState)).toBe(false)
+    })
+
+    it('returns false if a missing source has been created', () => {
+      setSourceFiles({
+        'file.tex': { time: 0, size: 108, checksum, rule: '' },
+        'wibble.tex': { time: 0, size: -1, checksum: '0', rule: '' }
+      })
+      fs.writeFileSync(path.join(fixturesPath, 'wibble.tex'), 'wibble')
+
+      expect(builder.hasUnchangedSources(jobState)).toBe(false)
+    })
+
+    it('returns false if the root file is not a recorded source', () => {
+      setSourceFiles({ 'file.aux': { time: 0, size: -1, checksum: '0', rule: '' } })
+
+      expect(builder.hasUnchangedSources(jobState)).toBe(false)
+    })
+
+    it('returns false if there is no file database', () => {
+      expect(builder.hasUnchangedSources(jobState)).toBe(false)
+    })
+  })
+
   describe('parseLogAndFdbFiles', () => {
     it('verifies that the correct output file is selected when using various latexmk modes', () => {
       const switches = [
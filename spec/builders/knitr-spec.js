@@ -97,7 +97,7 @@ describe('KnitrBuilder', () => {
       expect(latex.log.showMessages).toHaveBeenCalledWith([{
         type: 'error',
         text: 'The R package "knitr" could not be loaded.'
-      }])
+      }], jobState.getFilePath())
     })
   })
 
@@ -60,6 +60,31 @@ describe('LatexmkBuilder', () => {
       expect(args).toEqual(expectedArgs)
     })
 
+    it('uses the engine, output format and output directory of each job', () => {
+      state.setJobs([
+        { name: 'print', engine: 'lualatex' },
+        { name: 'screen', format: 'dvi', outputDirectory: 'screen' }
+      ])
+      const [print, screen] = state.getJobStates().map(jobState => builder.constructArgs(jobState))
+
+      expect(print).toContain('-lualatex')
+      expect(print).toContain('-jobname="print"')
+      expect(print).not.toContain('-outdir="screen"')
+      expect(screen).toContain('-dvi')
+      expect(screen).toContain('-jobname="screen"')
+      expect(screen).toContain('-outdir="screen"')
+    })
+
+    it('adds -usepretex argument when the build profile has TeX code', () => {
+      const latexmkrcPath = path.resolve(__dirname, '..', '..', 'resources', 'pretex.latexmkrc')
+      state.setPreTex('\\def\\isdraft{}')
+      const args = builder.constructArgs(jobState)
+
+      expect(args).toContain(`-r "${latexmkrcPath}"`)
+      expect(args.indexOf('-usepretex')).toBe(args.length - 2)
+      expect(args.join(' ')).not.toContain('isdraft')
+    })
+
     it('adds -g flag when rebuild is passed', () => {
       state.setShouldRebuild(true)
       expect(builder.constructArgs(jobState)).toContain('-g')
@@ -153,6 +178,70 @@ describe('LatexmkBuilder', () => {
     })
   })
 
+  describe('constructContinuousArgs', () => {
+    it('adds -pvc and disables the latexmk previewer before the file argument', () => {
+      const args = builder.constructContinuousArgs(jobState)
+
+      expect(args.slice(-3)).toEqual(['-pvc', '-view=none', `"${filePath}"`])
+    })
+  })
+
+  describe('runContinuous', () => {
+    it('reports each build cycle and the status code when the process ends', async () => {
+      const onCycle = jasmine.createSpy('onCycle')
+      spyOn(latex.process, 'executeChildProcess').andCallFake((command, { onOutput }) => {
+        onOutput('stdout', 'Latexmk: Run number 1 of rule \'pdflatex\'\n=== Watching for updated files. Use ctrl/C to stop ...\n')
+        onOutput('stdout', 'Latexmk: Errors, so I did not complete making targets\n=== Watching')
+        onOutput('stdout', ' for updated files. Use ctrl/C to stop ...\n')
+        return Promise.resolve({ statusCode: 143, stdout: '', stderr: '' })
+      })
+
+      const statusCode = await builder.runContinuous(jobState, onCycle)
+
+      expect(statusCode).toBe(143)
+      expect(onCycle.argsForCall).toEqual([[0], [12]])
+      expect(latex.process.executeChildProcess.mostRecentCall.args[0]).toContain('-pvc')
+    })
+
+    it('detects the failed build cycles that latexmk reports on stderr', async () => {
+      const onCycle = jasmine.createSpy('onCycle')
+      spyOn(latex.process, 'executeChildProcess').andCallFake((command, { onOutput }) => {
+        onOutput('stderr', 'Latexmk: Run number 1 of rule \'pdflatex\'\nLatexmk: Errors, ')
+        onOutput('stdout', 'This is pdfTeX\n')
+        onOutput('stderr', 'so I did not complete making targets\n')
+        onOutput('stdout', '=== Watching for updated files. Use ctrl/C to stop ...\n')
+        return Promise.resolve({ statusCode: 143, stdout: '', stderr: '' })
+      })
+
+      await builder.runContinuous(jobState, onCycle)
+
+      expect(onCycle.argsForCall).toEqual([[12]])
+    })
+
+    it('disables the build timeouts', async () => {
+      atom.config.set('latex.buildTimeout', 60)
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 143, stdout: '', stderr: '' }))
+
+      await builder.runContinuous(jobState, () => {})
+
+      const options = latex.process.executeChildProcess.mostRecentCall.args[1]
+      expect(options.timeout).toBe(0)
+      expect(options.idleTimeout).toBe(0)
+    })
+  })
+
+  describe('getStep', () => {
+    it('returns the last rule that latexmk started', () => {
+      const text = 'Latexmk: applying rule \'pdflatex\'...\nRun number 1 of rule \'biber main\'\n'
+
+      expect(builder.getStep(text)).toBe('latexmk rule biber main')
+    })
+
+    it('returns nothing if no rule was started', () => {
+      expect(builder.getStep('Latexmk: All targets are up-to-date\n')).toBeUndefined()
+    })
+  })
+
   describe('run', () => {
     beforeEach(() => {
       spyOn(builder, 'logStatusCode').andCallThrough()
@@ -406,29 +495,92 @@ describe('LatexmkBuilder', () => {
     })
   })
 
+  describe('execLatexmk', () => {
+    it('passes the TeX code of the build profile in the environment', async () => {
+      state.setPreTex('\\def\\price{$5 "each"}')
+      spyOn(builder, 'executeAndParseOutput').andReturn(Promise.resolve({ statusCode: 0 }))
+
+      await builder.execLatexmk(fixturesPath, builder.constructArgs(jobState), 'error', jobState)
+
+      const options = builder.executeAndParseOutput.mostRecentCall.args[2]
+      expect(options.env.LATEXMK_PRETEX).toBe('\\def\\price{$5 "each"}')
+    })
+
+    it('stops builds that are idle for the configured number of seconds', async () => {
+      atom.config.set('latex.idleTimeout', 60)
+      spyOn(builder, 'executeAndParseOutput').andReturn(Promise.resolve({ statusCode: 0 }))
+
+      await builder.execLatexmk(fixturesPath, builder.constructArgs(jobState), 'error', jobState)
+
+      expect(builder.executeAndParseOutput.mostRecentCall.args[2].idleTimeout).toBe(60000)
+    })
+  })
+
+  describe('checkPreTexSupport', () => {
+    beforeEach(() => {
+      state.setPreTex('\\def\\isdraft{}')
+    })
+
+    it('rejects a build with TeX code if latexmk is older than 4.61', async () => {
+      spyOn(builder, 'getVersion').andReturn(Promise.resolve('4.59'))
+      let error
+
+      try {
+        await builder.checkPreTexSupport(jobState)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.message).toContain('needs latexmk 4.61 or later, but version 4.59 was found')
+    })
+
+    it('accepts newer versions of latexmk', async () => {
+      spyOn(builder, 'getVersion').andReturn(Promise.resolve('4.100'))
+
+      await builder.checkPreTexSupport(jobState)
+    })
+
+    it('does not check the version without TeX code', async () => {
+      state.setPreTex(undefined)
+      spyOn(builder, 'getVersion')
+
+      await builder.checkPreTexSupport(jobState)
+
+      expect(builder.getVersion).not.toHaveBeenCalled()
+    })
+  })
+
   describe('logStatusCode', () => {
     it('handles latexmk specific status codes', () => {
       let messages = []
-      spyOn(latex.log, 'error').andCallFake(message => messages.push(message))
+      spyOn(latex.log, 'showMessages').andCallFake(newMessages => messages.push(...newMessages))
 
       const statusCodes = [10, 11, 12, 13, 20]
-      statusCodes.forEach(statusCode => builder.logStatusCode(statusCode))
+      statusCodes.forEach(statusCode => builder.logStatusCode(statusCode, '', jobState))
 
-      const startsWithPrefix = str => str.startsWith('latexmk:')
+      const startsWithPrefix = message => message.type === 'error' && message.text.startsWith('latexmk:')
 
       expect(messages.length).toBe(statusCodes.length)
       expect(messages.filter(startsWithPrefix).length).toBe(statusCodes.length)
     })
 
+    it('tags the messages with the root file path', () => {
+      spyOn(latex.log, 'showMessages')
+
+      builder.logStatusCode(10, '', jobState)
+
+      expect(latex.log.showMessages.mostRecentCall.args[1]).toBe(jobState.getFilePath())
+    })
+
     it('passes through to superclass when given non-latexmk status codes', () => {
       const stderr = 'wibble'
       const superclass = Object.getPrototypeOf(builder)
       spyOn(superclass, 'logStatusCode').andCallThrough()
 
       const statusCode = 1
-      builder.logStatusCode(statusCode, stderr)
+      builder.logStatusCode(statusCode, stderr, jobState)
 
-      expect(superclass.logStatusCode).toHaveBeenCalledWith(statusCode, stderr)
+      expect(superclass.logStatusCode).toHaveBeenCalledWith(statusCode, stderr, jobState)
     })
   })
 })
@@ -0,0 +1,113 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+import { activatePackages, cloneFixtures } from '../spec-helpers'
+
+import fs from 'fs-plus'
+import path from 'path'
+import TectonicBuilder from '../../lib/builders/tectonic'
+import BuildState from '../../lib/build-state'
+
+describe('TectonicBuilder', () => {
+  let builder, fixturesPath, filePath, state, jobState
+
+  beforeEach(async () => {
+    await activatePackages()
+
+    builder = new TectonicBuilder()
+    fixturesPath = cloneFixtures()
+    filePath = path.join(fixturesPath, 'file.tex')
+    state = new BuildState(filePath)
+    state.setEngine('pdflatex')
+    state.setOutputFormat('pdf')
+    state.setOutputDirectory('')
+    state.setEnableSynctex(true)
+    jobState = state.getJobStates()[0]
+  })
+
+  describe('constructArgs', () => {
+    it('produces default arguments when package has default config values', () => {
+      const expectedArgs = [
+        '-X compile',
+        '--keep-logs',
+        '--synctex',
+        '--outfmt pdf',
+        `"${filePath}"`
+      ]
+      const args = builder.constructArgs(jobState)
+
+      expect(args).toEqual(expectedArgs)
+    })
+
+    it('adds -Z shell-escape flag when package config value is set', () => {
+      state.setEnableShellEscape(true)
+      expect(builder.constructArgs(jobState)).toContain('-Z shell-escape')
+    })
+
+    it('disables synctex according to package config', () => {
+      state.setEnableSynctex(false)
+      expect(builder.constructArgs(jobState)).not.toContain('--synctex')
+    })
+
+    it('adds --outdir <path> argument according to package config', () => {
+      state.setOutputDirectory('bar')
+      expect(builder.constructArgs(jobState)).toContain('--outdir "bar"')
+    })
+
+    it('produces xdv output when dvi output format is requested', () => {
+      state.setOutputFormat('dvi')
+      expect(builder.constructArgs(jobState)).toContain('--outfmt xdv')
+    })
+
+    it('falls back to pdf output with a warning when ps output format is requested', () => {
+      spyOn(latex.log, 'showMessages')
+      state.setOutputFormat('ps')
+
+      expect(builder.constructArgs(jobState)).toContain('--outfmt pdf')
+      expect(latex.log.showMessages.mostRecentCall.args[0][0].type).toBe('warning')
+    })
+  })
+
+  describe('renameOutputFiles', () => {
+    it('renames the output files to match the job name', () => {
+      const outputFilePath = path.join(fixturesPath, 'file.pdf')
+      fs.writeFileSync(outputFilePath, '')
+      state.setJobNames(['foo'])
+      jobState = state.getJobStates()[0]
+
+      builder.renameOutputFiles(jobState)
+
+      expect(fs.existsSync(outputFilePath)).toBe(false)
+      expect(fs.existsSync(path.join(fixturesPath, 'foo.pdf'))).toBe(true)
+      expect(fs.existsSync(filePath)).toBe(true)
+    })
+  })
+
+  describe('logToolMessages', () => {
+    it('reports Tectonic messages but not TeX messages', () => {
+      spyOn(latex.log, 'showMessages')
+
+      builder.logToolMessages([
+        'note: Running TeX ...',
+        'error: ./file.tex:3: Undefined control sequence',
+        'error: failed to open input file "missing.tex"'
+      ].join('\n'), jobState)
+
+      expect(latex.log.showMessages).toHaveBeenCalledWith([
+        { type: 'error', text: 'tectonic: failed to open input file "missing.tex"' }
+      ], jobState.getFilePath())
+    })
+  })
+
+  describe('canProcess', () => {
+    it('returns true when given a file path with a .tex extension', () => {
+      expect(TectonicBuilder.canProcess(state)).toBe(true)
+    })
+
+    it('has a lower priority than latexmk', () => {
+      const LatexmkBuilder = require('../../lib/builders/latexmk')
+      expect(TectonicBuilder.priority).toBeLessThan(LatexmkBuilder.priority)
+    })
+  })
+})
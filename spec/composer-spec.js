@@ -6,6 +6,7 @@ import { activatePackages, cloneFixtures } from './spec-helpers'
 
 import fs from 'fs-plus'
 import path from 'path'
+import { shell } from 'electron'
 import werkzeug from '../lib/werkzeug'
 import Composer from '../lib/composer'
 import BuildState from '../lib/build-state'
@@ -20,6 +21,7 @@ describe('Composer', () => {
 
     function initializeSpies (filePath, jobNames = [null], statusCode = 0) {
       editor = jasmine.createSpyObj('MockEditor', ['save', 'isModified'])
+      spyOn(composer, 'initializeRootFilePath')
       spyOn(composer, 'initializeBuildStateFromMagic').andCallFake(state => { state.setJobNames(jobNames) })
       spyOn(werkzeug, 'getEditorDetails').andReturn({ editor, filePath, lineNumber: 1 })
 
@@ -92,6 +94,32 @@ describe('Composer', () => {
       expect(editor.save).toHaveBeenCalled()
     })
 
+    it('only replaces the messages of previous builds of the same root file', async () => {
+      const filePath = path.join(fixturesPath, 'file.tex')
+      const otherFilePath = path.join(fixturesPath, 'other.tex')
+      initializeSpies(filePath)
+      latex.log.showMessages([{ type: 'error', text: 'foo' }], filePath)
+      latex.log.showMessages([{ type: 'error', text: 'bar' }], otherFilePath)
+
+      await composer.build()
+
+      expect(latex.log.getMessages(false)).toEqual([{ type: 'error', text: 'bar', root: otherFilePath }])
+    })
+
+    it('reports why the builder was chosen after the log is cleared', async () => {
+      const filePath = path.join(fixturesPath, 'file.tex')
+      const message = { type: 'info', text: 'Using the latexmk builder since it was explicitly requested.' }
+      initializeSpies(filePath)
+      latex.builderRegistry.getBuilder.andCallFake(state => {
+        state.setBuilderMessages([message])
+        return builder
+      })
+
+      await composer.build()
+
+      expect(latex.log.getMessages(false)).toContain(Object.assign({ root: filePath }, message))
+    })
+
     it('runs the build two times with multiple job names', async () => {
       initializeSpies('file.tex', ['foo', 'bar'])
 
@@ -117,6 +145,109 @@ describe('Composer', () => {
       expect(composer.showResult).toHaveBeenCalled()
     })
 
+    it('records the build and its messages in the build history', async () => {
+      initializeSpies('file.tex', ['foo', 'bar'])
+      latex.history.clear()
+      builder.parseLogAndFdbFiles.andCallFake(state => {
+        state.setLogMessages([{ type: 'error', text: 'foo' }])
+        state.setOutputFilePath('file.pdf')
+      })
+
+      await composer.build()
+
+      const entries = latex.history.getEntries()
+      expect(entries.length).toBe(1)
+      expect(entries[0].jobNames).toEqual(['foo', 'bar'])
+      expect(entries[0].statusCode).toBe(0)
+      expect(entries[0].endTime).toBeDefined()
+      expect(entries[0].messages.filter(message => message.text === 'foo').length).toBe(2)
+    })
+
+    it('does not record the messages of other root files in the build history', async () => {
+      initializeSpies('file.tex')
+      latex.history.clear()
+      latex.log.showMessages([{ type: 'error', text: 'bar' }], 'other.tex')
+      builder.parseLogAndFdbFiles.andCallFake(state => {
+        state.setLogMessages([{ type: 'error', text: 'foo' }])
+        state.setOutputFilePath('file.pdf')
+      })
+
+      await composer.build()
+
+      const messages = latex.history.getEntries()[0].messages
+      expect(messages.map(message => message.text)).toEqual(['foo'])
+    })
+
+    it('updates the word count of a counted root file after a successful build', async () => {
+      initializeSpies('file.tex')
+      builder.parseLogAndFdbFiles.andCallFake(state => {
+        state.setLogMessages([])
+        state.setOutputFilePath('file.pdf')
+      })
+      spyOn(composer.wordCounter, 'hasCount').andReturn(true)
+      spyOn(composer.wordCounter, 'count').andReturn(Promise.resolve({}))
+
+      await composer.build()
+
+      expect(composer.wordCounter.count).toHaveBeenCalled()
+      expect(composer.wordCounter.count.mostRecentCall.args[0]).toBe(builder)
+    })
+
+    describe('with an up to date result', () => {
+      let filePath
+
+      beforeEach(() => {
+        filePath = path.join(fixturesPath, 'file.tex')
+        const outputFilePath = path.join(fixturesPath, 'file.pdf')
+        const fdbFilePath = path.join(fixturesPath, 'file.fdb_latexmk')
+
+        fs.writeFileSync(outputFilePath, '')
+        fs.writeFileSync(fdbFilePath, '')
+
+        initializeSpies(filePath)
+        // Builds are forced after the configuration changes.
+        composer.rebuildCompleted = new Set([filePath])
+        builder.hasUnchangedSources = jasmine.createSpy('hasUnchangedSources').andReturn(true)
+        builder.resolveFdbFilePath = jasmine.createSpy('resolveFdbFilePath').andReturn(fdbFilePath)
+        builder.parseLogAndFdbFiles.andCallFake(jobState => {
+          jobState.setLogMessages([])
+          jobState.setOutputFilePath(outputFilePath)
+        })
+      })
+
+      it('skips the build and still shows the result', async () => {
+        await composer.build()
+
+        expect(builder.run).not.toHaveBeenCalled()
+        expect(composer.showResult).toHaveBeenCalled()
+      })
+
+      it('builds if a source has changed', async () => {
+        builder.hasUnchangedSources.andReturn(false)
+
+        await composer.build()
+
+        expect(builder.run).toHaveBeenCalled()
+      })
+
+      it('builds if a settings file is newer than the file database', async () => {
+        const settingsFilePath = path.join(fixturesPath, 'file.yaml')
+        fs.writeFileSync(settingsFilePath, 'engine: lualatex\n')
+        const future = new Date(Date.now() + 60000)
+        fs.utimesSync(settingsFilePath, future, future)
+
+        await composer.build()
+
+        expect(builder.run).toHaveBeenCalled()
+      })
+
+      it('builds when a rebuild is requested', async () => {
+        await composer.build(true)
+
+        expect(builder.run).toHaveBeenCalled()
+      })
+    })
+
     it('treats missing output file data in log file as an error', async () => {
       initializeSpies('file.tex')
       builder.parseLogAndFdbFiles.andCallFake(state => {
@@ -205,10 +336,13 @@ describe('Composer', () => {
   describe('clean', () => {
     let fixturesPath, composer
 
-    function initializeSpies (filePath, jobNames = [null]) {
+    function initializeSpies (filePath, jobNames = [null], fileDatabase) {
+      spyOn(composer, 'initializeRootFilePath')
       spyOn(composer, 'initializeBuildStateFromMagic').andCallFake(state => { state.setJobNames(jobNames) })
       spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath })
       spyOn(composer, 'getGeneratedFileList').andCallFake((builder, state) => {
+        if (fileDatabase) state.setFileDatabase(fileDatabase)
+
         let { dir, name } = path.parse(state.getFilePath())
         if (state.getOutputDirectory()) {
           dir = path.resolve(dir, state.getOutputDirectory())
@@ -230,6 +364,7 @@ describe('Composer', () => {
 
       spyOn(fs, 'removeSync').andCallThrough()
       atom.config.set('latex.cleanPatterns', ['**/*.aux', '/_minted-{jobname}'])
+      atom.config.set('latex.previewClean', false)
     })
 
     it('deletes aux file but leaves log file when log file is not in cleanPatterns', async () => {
@@ -311,6 +446,137 @@ describe('Composer', () => {
 
       expect(fs.removeSync).not.toHaveBeenCalled()
     })
+
+    it('keeps the result unless all files are cleaned', async () => {
+      const resultPath = path.join(fixturesPath, 'foo.pdf')
+      atom.config.set('latex.cleanPatterns', ['**/*.aux', '**/*.pdf'])
+      fs.writeFileSync(resultPath, '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+
+      await composer.clean()
+
+      expect(fs.removeSync).toHaveBeenCalledWith(path.join(fixturesPath, 'foo.aux'))
+      expect(fs.removeSync).not.toHaveBeenCalledWith(resultPath)
+
+      await composer.clean('all')
+
+      expect(fs.removeSync).toHaveBeenCalledWith(resultPath)
+    })
+
+    it('removes the output directory when all files are cleaned', async () => {
+      const outputPath = path.join(fixturesPath, 'build')
+      atom.config.set('latex.outputDirectory', 'build')
+      fs.makeTreeSync(outputPath)
+      initializeSpies(path.join(fixturesPath, 'foo.tex'), [null], { pdflatex: { source: ['foo.tex'], generated: ['build/foo.aux'] } })
+
+      await composer.clean('all')
+
+      expect(fs.removeSync).toHaveBeenCalledWith(outputPath)
+      expect(fs.removeSync).not.toHaveBeenCalledWith(path.join(outputPath, 'foo.aux'))
+    })
+
+    it('only cleans the output directory by pattern if there is no file database', async () => {
+      const outputPath = path.join(fixturesPath, 'build')
+      atom.config.set('latex.outputDirectory', 'build')
+      fs.makeTreeSync(outputPath)
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+
+      await composer.clean('all')
+
+      expect(fs.removeSync).not.toHaveBeenCalledWith(outputPath)
+      expect(fs.removeSync).toHaveBeenCalledWith(path.join(outputPath, 'foo.aux'))
+    })
+
+    it('does not remove an output directory that contains a source file', async () => {
+      const outputPath = path.join(fixturesPath, 'build')
+      const sourcePath = path.join(outputPath, 'chapter.tex')
+      atom.config.set('latex.outputDirectory', 'build')
+      fs.makeTreeSync(outputPath)
+      fs.writeFileSync(sourcePath, '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'), [null], { pdflatex: { source: ['foo.tex', 'build/chapter.tex'], generated: ['build/foo.aux'] } })
+      spyOn(latex.log, 'warning')
+
+      await composer.clean('all')
+
+      expect(fs.removeSync).not.toHaveBeenCalledWith(outputPath)
+      expect(fs.removeSync).toHaveBeenCalledWith(path.join(outputPath, 'foo.aux'))
+      expect(fs.existsSync(sourcePath)).toBe(true)
+      expect(latex.log.warning).toHaveBeenCalledWith(`${outputPath} will not be removed since it contains the source file ${sourcePath}.`)
+    })
+
+    it('never removes the source files', async () => {
+      const filePath = path.join(fixturesPath, 'file.tex')
+      atom.config.set('latex.cleanPatterns', ['/*.tex'])
+      initializeSpies(filePath)
+      spyOn(latex.log, 'warning')
+
+      await composer.clean()
+
+      expect(fs.removeSync).not.toHaveBeenCalledWith(filePath)
+      expect(latex.log.warning).toHaveBeenCalledWith(`${filePath} matches a clean pattern but will not be removed since it is a source file.`)
+    })
+
+    it('treats files that look like sources as sources if there is no file database', async () => {
+      const bibPath = path.join(fixturesPath, 'foo.bib')
+      atom.config.set('latex.cleanPatterns', ['/*.bib'])
+      fs.writeFileSync(bibPath, '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+
+      await composer.clean()
+
+      expect(fs.removeSync).not.toHaveBeenCalledWith(bibPath)
+    })
+
+    it('only reports the files that existed as cleaned', async () => {
+      const auxPath = path.join(fixturesPath, 'foo.aux')
+      fs.writeFileSync(auxPath, '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+      spyOn(latex.log, 'info')
+
+      await composer.clean()
+
+      expect(latex.log.info).toHaveBeenCalledWith('Cleaned: foo.aux')
+    })
+
+    it('only removes the files selected in the preview', async () => {
+      const auxPath = path.join(fixturesPath, 'foo.aux')
+      const mintedPath = path.join(fixturesPath, '_minted-foo')
+      atom.config.set('latex.previewClean', true)
+      fs.writeFileSync(auxPath, '')
+      fs.makeTreeSync(mintedPath)
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+      spyOn(composer, 'previewClean').andCallFake(files => Promise.resolve(files.filter(file => file !== auxPath)))
+
+      await composer.clean()
+
+      expect(composer.previewClean.mostRecentCall.args[0].sort()).toEqual([mintedPath, auxPath].sort())
+      expect(fs.removeSync).toHaveBeenCalledWith(mintedPath)
+      expect(fs.removeSync).not.toHaveBeenCalledWith(auxPath)
+    })
+
+    it('does not remove any files if the preview is cancelled', async () => {
+      atom.config.set('latex.previewClean', true)
+      fs.writeFileSync(path.join(fixturesPath, 'foo.aux'), '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+      spyOn(composer, 'previewClean').andReturn(Promise.resolve(null))
+
+      await composer.clean()
+
+      expect(fs.removeSync).not.toHaveBeenCalled()
+    })
+
+    it('moves the files to the trash if requested', async () => {
+      const auxPath = path.join(fixturesPath, 'foo.aux')
+      atom.config.set('latex.moveCleanedFilesToTrash', true)
+      fs.writeFileSync(auxPath, '')
+      initializeSpies(path.join(fixturesPath, 'foo.tex'))
+      spyOn(shell, 'moveItemToTrash').andReturn(true)
+
+      await composer.clean()
+
+      expect(shell.moveItemToTrash).toHaveBeenCalledWith(auxPath)
+      expect(fs.removeSync).not.toHaveBeenCalled()
+    })
   })
 
   describe('shouldMoveResult', () => {
@@ -403,6 +669,7 @@ describe('Composer', () => {
 
       spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath, lineNumber })
       spyOn(composer, 'resolveOutputFilePath').andCallFake((builder, state) => state.getJobName() + '.pdf')
+      spyOn(composer, 'initializeRootFilePath')
       spyOn(composer, 'initializeBuildStateFromMagic').andCallFake(state => { state.setJobNames(jobNames) })
       spyOn(latex.opener, 'open').andReturn(true)
 
@@ -467,6 +734,7 @@ describe('Composer', () => {
 
     it('verifies that first level properties override second level properties', () => {
       const properties = {
+        builder: primaryString,
         cleanPatterns: primaryArray,
         enableExtendedBuildMode: true,
         enableShellEscape: true,
@@ -487,6 +755,7 @@ describe('Composer', () => {
 
       composer.initializeBuildStateFromProperties(state, properties)
 
+      expect(state.getBuilder()).toBe(primaryString, 'builder to be set')
       expect(state.getCleanPatterns()).toEqual(primaryArray, 'cleanPatterns to be set')
       expect(state.getEnableExtendedBuildMode()).toBe(true, 'enableExtendedBuildMode to be set')
       expect(state.getEnableShellEscape()).toBe(true, 'enableShellEscape to be set')
@@ -528,6 +797,260 @@ describe('Composer', () => {
       expect(state.getJobNames()).toEqual(primaryArray, 'jobNames to be set')
       expect(state.getEngine()).toBe(primaryString, 'engine to be set')
     })
+
+    it('verifies that jobs override job names and set per-job settings', () => {
+      const properties = {
+        engine: 'pdflatex',
+        jobNames: primaryArray,
+        jobs: [{ name: 'print', engine: 'lualatex' }, { name: 'screen', format: 'dvi', outputDirectory: 'screen' }]
+      }
+
+      composer.initializeBuildStateFromProperties(state, properties)
+
+      const [print, screen] = state.getJobStates()
+      expect(state.getJobNames()).toEqual(['print', 'screen'])
+      expect(print.getEngine()).toBe('lualatex')
+      expect(print.getOutputFormat()).toBe(state.getOutputFormat())
+      expect(screen.getEngine()).toBe('pdflatex')
+      expect(screen.getOutputFormat()).toBe('dvi')
+      expect(screen.getOutputDirectory()).toBe('screen')
+    })
+
+    it('verifies that environment variables are merged with the existing variables', () => {
+      state.setEnvironment({ TEXINPUTS: 'styles:', BIBINPUTS: 'bib:' })
+
+      composer.initializeBuildStateFromProperties(state, { environment: { TEXINPUTS: ['shared'] } })
+
+      expect(state.getEnvironment()).toEqual({ TEXINPUTS: ['shared'], BIBINPUTS: 'bib:' })
+      expect(state.getJobStates()[0].getEnvironment()).toBe(state.getEnvironment())
+    })
+
+    it('parses jobs given in magic comments', () => {
+      const properties = {
+        jobs: '[{name: print, engine: lualatex}, screen]'
+      }
+
+      composer.initializeBuildStateFromProperties(state, properties)
+
+      expect(state.getJobNames()).toEqual(['print', 'screen'])
+      expect(state.getJobStates()[0].getEngine()).toBe('lualatex')
+    })
+
+    it('accepts a single job that is not in a list', () => {
+      composer.initializeBuildStateFromProperties(state, { jobs: '{name: print, engine: lualatex}' })
+
+      expect(state.getJobNames()).toEqual(['print'])
+      expect(state.getJobStates()[0].getEngine()).toBe('lualatex')
+    })
+
+    it('validates jobs given in magic comments', () => {
+      composer.initializeBuildStateFromProperties(state, { jobs: '[{name: print, paper: a4}]' })
+
+      expect(state.getJobNames()).toEqual([null])
+      expect(state.getSettingsMessages().map(message => message.text)).toEqual([
+        'Parsing of jobs failed: Invalid value for setting `jobs`: unknown key `paper`.'
+      ])
+    })
+
+    it('reports jobs in magic comments that cannot be parsed', () => {
+      const properties = {
+        jobs: '[{name: print'
+      }
+
+      composer.initializeBuildStateFromProperties(state, properties)
+
+      expect(state.getJobNames()).toEqual([null])
+      expect(state.getSettingsMessages().length).toBe(1)
+      expect(state.getSettingsMessages()[0].text).toMatch(/^Parsing of jobs failed: /)
+    })
+  })
+
+  describe('initializeBuildStateFromProfile', () => {
+    let state, composer
+
+    beforeEach(() => {
+      state = new BuildState('gronk.tex')
+      state.setEngine('pdflatex')
+      composer = new Composer()
+      atom.config.set('latex.profiles', [
+        { name: 'draft', jobName: 'draft', preTex: '\\def\\isdraft{}' },
+        { name: 'final', engine: 'xelatex', outputDirectory: 'final' }
+      ])
+    })
+
+    it('does nothing if no profile is active', () => {
+      composer.initializeBuildStateFromConfig(state)
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getJobNames()).toEqual([null])
+      expect(state.getPreTex()).toBeUndefined()
+    })
+
+    it('applies the settings of the active profile', () => {
+      atom.config.set('latex.activeProfile', 'draft')
+
+      composer.initializeBuildStateFromConfig(state)
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getJobNames()).toEqual(['draft'])
+      expect(state.getPreTex()).toBe('\\def\\isdraft{}')
+      expect(state.getSettingSource('preTex')).toEqual({ type: 'profile', name: 'draft' })
+    })
+
+    it('prefers profiles from settings files over profiles from the package config', () => {
+      atom.config.set('latex.activeProfile', 'final')
+
+      composer.initializeBuildStateFromConfig(state)
+      composer.initializeBuildStateFromProperties(state, { profiles: [{ name: 'final', engine: 'lualatex' }] })
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getEngine()).toBe('lualatex')
+      expect(state.getOutputDirectory()).toBe('')
+    })
+
+    it('renames the job instead of replacing it', () => {
+      atom.config.set('latex.activeProfile', 'draft')
+      state.setJobs([{ name: 'print', engine: 'lualatex' }])
+
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getJobNames()).toEqual(['draft'])
+      expect(state.getJobStates()[0].getEngine()).toBe('lualatex')
+    })
+
+    it('does not give the job name of the profile to more than one job', () => {
+      atom.config.set('latex.activeProfile', 'draft')
+      state.setJobNames(['print', 'screen'])
+
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getJobNames()).toEqual(['print', 'screen'])
+      expect(state.getSettingsMessages().map(message => message.type)).toEqual(['warning'])
+    })
+
+    it('keeps the engine of jobs that set their own engine and reports it', () => {
+      atom.config.set('latex.activeProfile', 'final')
+      state.setJobs([{ name: 'print', engine: 'lualatex' }, 'screen'])
+
+      composer.initializeBuildStateFromProfile(state)
+
+      const [print, screen] = state.getJobStates()
+      expect(print.getEngine()).toBe('lualatex')
+      expect(screen.getEngine()).toBe('xelatex')
+      expect(state.getSettingsMessages().map(message => message.text)).toEqual([
+        'The engine of the build profile `final` is not used for the job `print` since the job sets its own engine.'
+      ])
+    })
+
+    it('reports an undefined active profile', () => {
+      atom.config.set('latex.activeProfile', 'handout')
+
+      composer.initializeBuildStateFromConfig(state)
+      composer.initializeBuildStateFromProfile(state)
+
+      expect(state.getSettingsMessages().map(message => message.text)).toEqual(['The build profile `handout` is not defined.'])
+    })
+  })
+
+  describe('initializeBuildStateFromPreamble', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = path.join(atom.project.getPaths()[0], 'engine')
+    })
+
+    it('does nothing if the engine is not auto', () => {
+      const state = new BuildState(path.join(fixturesPath, 'fontspec.tex'))
+      state.setEngine('lualatex')
+
+      composer.initializeBuildStateFromPreamble(state)
+
+      expect(state.getEngine()).toBe('lualatex')
+      expect(state.getSettingsMessages()).toEqual([])
+    })
+
+    it('picks the engine needed by the preamble and reports the reason', () => {
+      const filePath = path.join(fixturesPath, 'fontspec.tex')
+      const state = new BuildState(filePath)
+      state.setEngine('auto')
+
+      composer.initializeBuildStateFromPreamble(state)
+
+      expect(state.getEngine()).toBe('xelatex')
+      expect(state.getSettingsMessages()).toEqual([
+        { type: 'info', text: 'Using xelatex since unicode-math is loaded.', filePath, range: [[2, 0], [2, 34]] }
+      ])
+    })
+
+    it('replaces auto in the engine of a job', () => {
+      const state = new BuildState(path.join(fixturesPath, 'luacode.tex'))
+      state.setEngine('pdflatex')
+      state.setJobs([{ name: 'print', engine: 'auto' }, 'screen'])
+
+      composer.initializeBuildStateFromPreamble(state)
+
+      expect(state.getJobStates().map(jobState => jobState.getEngine())).toEqual(['lualatex', 'pdflatex'])
+    })
+  })
+
+  describe('detectEngine', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = path.join(atom.project.getPaths()[0], 'engine')
+    })
+
+    it('prefers lualatex if a package needs it', () => {
+      expect(composer.detectEngine(path.join(fixturesPath, 'luacode.tex')).engine).toBe('lualatex')
+    })
+
+    it('uses uplatex for jsarticle-style classes', () => {
+      expect(composer.detectEngine(path.join(fixturesPath, 'jsarticle.tex'))).toEqual({
+        engine: 'uplatex',
+        reason: 'the class jsarticle is used',
+        range: [[0, 0], [0, 43]]
+      })
+    })
+
+    it('uses pdflatex if nothing else is needed', () => {
+      expect(composer.detectEngine(path.join(fixturesPath, 'plain.tex')).engine).toBe('pdflatex')
+    })
+  })
+
+  describe('selectProfile', () => {
+    let composer
+
+    beforeEach(() => {
+      composer = new Composer()
+      spyOn(werkzeug, 'getEditorDetails').andReturn({})
+      atom.config.set('latex.profiles', [{ name: 'draft' }, { name: 'final' }])
+    })
+
+    it('activates the selected profile', () => {
+      spyOn(atom, 'confirm').andReturn(1)
+
+      expect(composer.selectProfile()).toBe(true)
+      expect(atom.config.get('latex.activeProfile')).toBe('final')
+      expect(atom.confirm.mostRecentCall.args[0].buttons).toEqual(['draft', 'final', 'None', 'Cancel'])
+    })
+
+    it('deactivates profiles if none is selected', () => {
+      atom.config.set('latex.activeProfile', 'draft')
+      spyOn(atom, 'confirm').andReturn(2)
+
+      expect(composer.selectProfile()).toBe(true)
+      expect(atom.config.get('latex.activeProfile')).toBe('')
+    })
+
+    it('keeps the active profile if the selection is cancelled', () => {
+      atom.config.set('latex.activeProfile', 'draft')
+      spyOn(atom, 'confirm').andReturn(3)
+
+      expect(composer.selectProfile()).toBe(false)
+      expect(atom.config.get('latex.activeProfile')).toBe('draft')
+    })
   })
 
   describe('initializeBuildStateFromConfig', () => {
@@ -563,6 +1086,7 @@ describe('Composer', () => {
 
       composer.initializeBuildStateFromMagic(state)
 
+      expect(state.getBuilder()).toEqual('tectonic')
       expect(state.getOutputDirectory()).toEqual('wibble')
       expect(state.getOutputFormat()).toEqual('ps')
       expect(state.getProducer()).toEqual('xdvipdfmx')
@@ -580,10 +1104,28 @@ describe('Composer', () => {
       const state = new BuildState(filePath)
       const composer = new Composer()
 
+      composer.initializeRootFilePath(state)
       composer.initializeBuildStateFromMagic(state)
 
       expect(state.getEngine()).not.toEqual('lualatex')
     })
+
+    it('reports the root file found by the root resolver with the messages of the build', () => {
+      const filePath = path.join(__dirname, 'fixtures', 'sub', 'wibble.tex')
+      const rootFilePath = path.join(__dirname, 'fixtures', 'file.tex')
+      const state = new BuildState(filePath)
+      const composer = new Composer()
+      spyOn(composer.rootResolver, 'resolve').andReturn(rootFilePath)
+
+      composer.initializeRootFilePath(state)
+
+      expect(state.getFilePath()).toBe(rootFilePath)
+      expect(state.getSettingsMessages()).toEqual([{
+        type: 'info',
+        text: `Using ${rootFilePath} as the root file since it includes ${filePath}.`
+      }])
+      composer.dispose()
+    })
   })
 
   describe('initializeBuild', () => {
@@ -609,6 +1151,21 @@ describe('Composer', () => {
       expect(build.state.hasSubfile(subFilePath)).toBe(false)
     })
 
+    it('only asks once for the root file of a file included by more than one root file', () => {
+      const composer = new Composer()
+      const fixturesPath = path.join(__dirname, 'fixtures', 'master-tex-finder', 'multiple-masters')
+      const filePath = path.join(fixturesPath, 'common.tex')
+
+      spyOn(atom, 'confirm').andReturn(1)
+
+      let build = composer.initializeBuild(filePath)
+      expect(build.state.getFilePath()).toBe(path.join(fixturesPath, 'master2.tex'))
+
+      build = composer.initializeBuild(filePath)
+      expect(build.state.getFilePath()).toBe(path.join(fixturesPath, 'master2.tex'))
+      expect(atom.confirm.callCount).toBe(1)
+    })
+
     it('verifies that magic properties override config properties', () => {
       const filePath = path.join(__dirname, 'fixtures', 'magic-comments', 'override-settings.tex')
       const composer = new Composer()
@@ -657,6 +1214,103 @@ describe('Composer', () => {
       expect(state.getMoveResultToSourceDirectory()).toBe(true)
     })
 
+    it('verifies that project settings file properties are used as defaults', () => {
+      const fixturesPath = cloneFixtures()
+      const filePath = path.join(fixturesPath, 'magic-comments', 'override-settings.tex')
+      const composer = new Composer()
+
+      fs.writeFileSync(path.join(fixturesPath, '.atom-latex.yaml'), 'engine: lualatex\nopenResultAfterBuild: no\n')
+
+      let { state } = composer.initializeBuild(path.join(fixturesPath, 'file.tex'))
+
+      expect(state.getEngine()).toEqual('lualatex')
+      expect(state.getOpenResultAfterBuild()).toBe(false)
+
+      state = composer.initializeBuild(filePath).state
+
+      expect(state.getEngine()).toEqual('xelatex')
+      expect(state.getOpenResultAfterBuild()).toBe(false)
+    })
+
+    it('applies the settings in the order config, project settings file, magic, document settings file and profile', () => {
+      const fixturesPath = cloneFixtures()
+      const filePath = path.join(fixturesPath, 'magic-comments', 'override-settings.tex')
+      const composer = new Composer()
+
+      atom.config.set('latex.outputDirectory', 'config')
+      atom.config.set('latex.profiles', [{ name: 'draft', outputDirectory: 'profile' }])
+      fs.writeFileSync(path.join(fixturesPath, '.atom-latex.yaml'),
+        'engine: pdflatex\nbuilder: latexmk\nopenResultAfterBuild: no\n')
+
+      // The magic comments override the project settings file.
+      let { state } = composer.initializeBuild(filePath)
+
+      expect(state.getBuilder()).toBe('tectonic')
+      expect(state.getOpenResultAfterBuild()).toBe(false)
+      // The document settings file overrides the magic comments.
+      expect(state.getEngine()).toBe('xelatex')
+      expect(state.getOutputDirectory()).toBe('foo')
+
+      // The profile overrides the document settings file.
+      atom.config.set('latex.activeProfile', 'draft')
+      state = composer.initializeBuild(filePath).state
+
+      expect(state.getOutputDirectory()).toBe('profile')
+    })
+
+    it('verifies that settings file problems are kept with the build state', () => {
+      const fixturesPath = cloneFixtures()
+      const settingsFilePath = path.join(fixturesPath, '.atom-latex.yaml')
+      const composer = new Composer()
+
+      fs.writeFileSync(settingsFilePath, 'engine: lualatex\noutputFormat: docx\n')
+
+      const { state } = composer.initializeBuild(path.join(fixturesPath, 'file.tex'))
+
+      expect(state.getEngine()).toEqual('lualatex')
+      expect(state.getOutputFormat()).toEqual('pdf')
+      expect(state.getSettingsMessages().length).toBe(1)
+      expect(state.getSettingsMessages()[0].filePath).toBe(settingsFilePath)
+      expect(state.getSettingsMessages()[0].range[0][0]).toBe(1)
+    })
+
+    it('records the source of each setting', () => {
+      const filePath = path.join(__dirname, 'fixtures', 'magic-comments', 'override-settings.tex')
+      const settingsFilePath = path.join(__dirname, 'fixtures', 'magic-comments', 'override-settings.yaml')
+      const composer = new Composer()
+
+      const { state } = composer.initializeBuild(filePath)
+
+      expect(state.getSettingSource('root')).toBeUndefined()
+      expect(state.getSettingSource('openResultAfterBuild')).toEqual({ type: 'config', name: 'openResultAfterBuild' })
+      expect(state.getSettingSource('builder')).toEqual({
+        type: 'magic',
+        name: 'builder',
+        filePath,
+        range: [[1, 0], [1, Number.MAX_SAFE_INTEGER]]
+      })
+      expect(state.getSettingSource('outputFormat')).toEqual({
+        type: 'settings',
+        name: 'format',
+        filePath: settingsFilePath,
+        range: [[1, 0], [1, Number.MAX_SAFE_INTEGER]]
+      })
+    })
+
+    it('records the magic comment that selected the root file', () => {
+      const filePath = path.join(__dirname, 'fixtures', 'magic-comments', 'multiple-magic-comments.tex')
+      const composer = new Composer()
+
+      const { state } = composer.initializeBuild(filePath)
+
+      expect(state.getSettingSource('root')).toEqual({
+        type: 'magic',
+        name: 'root',
+        filePath,
+        range: [[0, 0], [0, Number.MAX_SAFE_INTEGER]]
+      })
+    })
+
     it('verifies that settings file properties override magic properties', () => {
       const filePath = path.join(__dirname, 'fixtures', 'magic-comments', 'override-settings.tex')
       const composer = new Composer()
@@ -854,4 +1508,293 @@ describe('Composer', () => {
       expect(latex.opener.open).not.toHaveBeenCalled()
     })
   })
+
+  describe('showBuildState', () => {
+    let composer
+
+    beforeEach(() => {
+      composer = new Composer()
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('opens a view of the build state of the root file', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'magic-comments', 'multiple-magic-comments.tex')
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath, lineNumber: 1 })
+
+      const result = await composer.showBuildState()
+      const view = atom.workspace.getActivePaneItem()
+
+      expect(result).toBe(true)
+      expect(view.getURI()).toBe('atom://latex/build-state')
+      expect(view.properties.state.getFilePath()).toBe(path.join(__dirname, 'fixtures', 'file.tex'))
+      expect(view.element.textContent).toContain('magic comment (root)')
+    })
+
+    it('does nothing for unsupported file extensions', async () => {
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath: 'foo.bar', lineNumber: 1 })
+      spyOn(atom.workspace, 'open')
+
+      const result = await composer.showBuildState()
+
+      expect(result).toBe(false)
+      expect(atom.workspace.open).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('exportSubmission', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = cloneFixtures()
+      spyOn(composer.submissionExporter, 'export').andReturn(Promise.resolve())
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('exports the inputs recorded in the file database', async () => {
+      const filePath = path.join(fixturesPath, 'file.tex')
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath })
+
+      const result = await composer.exportSubmission()
+
+      expect(result).toBe(true)
+      expect(composer.submissionExporter.export).toHaveBeenCalled()
+      expect(composer.submissionExporter.export.mostRecentCall.args[1].getFileDatabase()).toBeDefined()
+    })
+
+    it('reports an error if there is no file database', async () => {
+      const filePath = path.join(fixturesPath, 'error-warning.tex')
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath })
+      spyOn(latex.log, 'error')
+
+      const result = await composer.exportSubmission()
+
+      expect(result).toBe(false)
+      expect(latex.log.error).toHaveBeenCalled()
+      expect(composer.submissionExporter.export).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('flatten', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = cloneFixtures()
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('writes the flattened root file to the output directory', () => {
+      const filePath = path.join(fixturesPath, 'flatten', 'main.tex')
+      atom.config.set('latex.outputDirectory', 'build')
+      atom.config.set('latex.flattenBibliography', true)
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath })
+      fs.makeTreeSync(path.join(fixturesPath, 'flatten', 'build'))
+      fs.writeFileSync(path.join(fixturesPath, 'flatten', 'build', 'main.bbl'), '\\begin{thebibliography}{1}\n\\end{thebibliography}\n')
+
+      const result = composer.flatten()
+      const text = fs.readFileSync(path.join(fixturesPath, 'flatten', 'build', 'main-flattened.tex'), 'utf8')
+
+      expect(result).toBe(true)
+      expect(text).toContain('Chapter A')
+      expect(text).toContain('\\begin{thebibliography}{1}')
+    })
+
+    it('creates the output directory if it does not exist yet', () => {
+      const filePath = path.join(fixturesPath, 'flatten', 'main.tex')
+      atom.config.set('latex.outputDirectory', 'missing')
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath })
+
+      const result = composer.flatten()
+
+      expect(result).toBe(true)
+      expect(fs.existsSync(path.join(fixturesPath, 'flatten', 'missing', 'main-flattened.tex'))).toBe(true)
+    })
+  })
+
+  describe('countWords', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = cloneFixtures()
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath: path.join(fixturesPath, 'file.tex') })
+      spyOn(atom.workspace, 'open').andReturn(Promise.resolve())
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('counts the words of the root file and shows the counts', async () => {
+      spyOn(composer.wordCounter, 'count').andReturn(Promise.resolve({}))
+
+      const result = await composer.countWords()
+
+      expect(result).toBe(true)
+      expect(composer.wordCounter.count.mostRecentCall.args[1].getTexFilePath()).toBe(path.join(fixturesPath, 'file.tex'))
+      expect(atom.workspace.open).toHaveBeenCalledWith('atom://latex/word-count')
+    })
+
+    it('does not show the counts if texcount failed', async () => {
+      spyOn(composer.wordCounter, 'count').andReturn(Promise.resolve(null))
+
+      const result = await composer.countWords()
+
+      expect(result).toBe(false)
+      expect(atom.workspace.open).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('installMissingFile', () => {
+    let composer, fixturesPath
+
+    beforeEach(() => {
+      composer = new Composer()
+      fixturesPath = cloneFixtures()
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ filePath: path.join(fixturesPath, 'file.tex') })
+      spyOn(composer.packageInstaller, 'locateFile').andReturn(Promise.resolve(null))
+      spyOn(composer.packageInstaller, 'searchPackages').andReturn(Promise.resolve(['foo']))
+      spyOn(composer.packageInstaller, 'install').andReturn(Promise.resolve(true))
+      spyOn(composer, 'build').andReturn(Promise.resolve(true))
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('installs the chosen package and rebuilds', async () => {
+      spyOn(atom, 'confirm').andReturn(0)
+
+      const result = await composer.installMissingFile('foo.sty')
+
+      expect(result).toBe(true)
+      expect(atom.confirm.mostRecentCall.args[0].buttons).toEqual(['Install foo with tlmgr', 'Install foo with mpm', 'Cancel'])
+      expect(composer.packageInstaller.install.mostRecentCall.args.slice(0, 2)).toEqual(['tlmgr', 'foo'])
+      expect(composer.build).toHaveBeenCalled()
+    })
+
+    it('runs the installation in its own process group that builds do not kill', async () => {
+      spyOn(atom, 'confirm').andReturn(0)
+
+      await composer.installMissingFile('foo.sty')
+
+      const options = composer.packageInstaller.install.mostRecentCall.args[3]
+      expect(options.allowKill).toBe(false)
+      expect(options.processGroup).not.toBe(path.join(fixturesPath, 'file.tex'))
+      expect(options.timeout).toBe(0)
+    })
+
+    it('offers mpm if tlmgr is not available', async () => {
+      composer.packageInstaller.searchPackages.andReturn(Promise.resolve(null))
+      spyOn(atom, 'confirm').andReturn(0)
+
+      await composer.installMissingFile('foo.sty')
+
+      expect(atom.confirm.mostRecentCall.args[0].buttons).toEqual(['Install foo with mpm', 'Cancel'])
+      expect(composer.packageInstaller.install.mostRecentCall.args.slice(0, 2)).toEqual(['mpm', 'foo'])
+    })
+
+    it('does nothing if the installation is canceled', async () => {
+      spyOn(atom, 'confirm').andReturn(2)
+
+      const result = await composer.installMissingFile('foo.sty')
+
+      expect(result).toBe(false)
+      expect(composer.packageInstaller.install).not.toHaveBeenCalled()
+      expect(composer.build).not.toHaveBeenCalled()
+    })
+
+    it('does not rebuild if the installation failed', async () => {
+      composer.packageInstaller.install.andReturn(Promise.resolve(false))
+      spyOn(atom, 'confirm').andReturn(0)
+
+      const result = await composer.installMissingFile('foo.sty')
+
+      expect(result).toBe(false)
+      expect(composer.build).not.toHaveBeenCalled()
+    })
+
+    it('reports a file that is already installed', async () => {
+      composer.packageInstaller.locateFile.andReturn(Promise.resolve('/texmf/tex/latex/foo/foo.sty'))
+      spyOn(atom, 'confirm')
+      spyOn(latex.log, 'info')
+
+      const result = await composer.installMissingFile('foo.sty')
+
+      expect(result).toBe(false)
+      expect(atom.confirm).not.toHaveBeenCalled()
+      expect(latex.log.info.mostRecentCall.args[0]).toContain('/texmf/tex/latex/foo/foo.sty')
+    })
+  })
+
+  describe('toggleContinuous', () => {
+    let builder, composer, fixturesPath, filePath, stop
+
+    beforeEach(() => {
+      fixturesPath = cloneFixtures()
+      filePath = path.join(fixturesPath, 'file.tex')
+      composer = new Composer()
+      stop = null
+
+      const editor = jasmine.createSpyObj('MockEditor', ['save', 'isModified'])
+      spyOn(werkzeug, 'getEditorDetails').andReturn({ editor, filePath, lineNumber: 1 })
+      spyOn(composer, 'showResult').andReturn()
+      spyOn(composer, 'showError').andReturn()
+      spyOn(latex.process, 'killChildProcesses').andCallFake(() => {
+        if (stop) stop()
+      })
+      spyOn(latex.status, 'setWatching')
+      spyOn(latex.status, 'setNotWatching')
+
+      builder = jasmine.createSpyObj('MockBuilder', ['runContinuous', 'parseLogAndFdbFiles'])
+      builder.runContinuous.andCallFake((jobState, onCycle) => new Promise(resolve => {
+        onCycle(0)
+        stop = () => resolve(143)
+      }))
+      builder.parseLogAndFdbFiles.andCallFake(jobState => {
+        jobState.setLogMessages([])
+        jobState.setOutputFilePath('file.pdf')
+      })
+      spyOn(latex.builderRegistry, 'getBuilder').andReturn(builder)
+    })
+
+    afterEach(() => {
+      composer.dispose()
+    })
+
+    it('watches until toggled again and refreshes the result after each cycle', async () => {
+      const watching = composer.toggleContinuous()
+
+      expect(latex.status.setWatching).toHaveBeenCalled()
+      expect(composer.showResult).toHaveBeenCalled()
+      expect(composer.continuousBuilds.has(filePath)).toBe(true)
+
+      await composer.toggleContinuous()
+      await watching
+
+      expect(latex.process.killChildProcesses).toHaveBeenCalledWith(filePath)
+      expect(latex.status.setNotWatching).toHaveBeenCalled()
+      expect(composer.continuousBuilds.has(filePath)).toBe(false)
+    })
+
+    it('does not start a separate build while building continuously', async () => {
+      const watching = composer.toggleContinuous()
+
+      expect(await composer.build()).toBe(true)
+      expect(builder.runContinuous.callCount).toBe(1)
+
+      stop()
+      await watching
+    })
+  })
 })
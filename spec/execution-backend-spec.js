@@ -0,0 +1,137 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import path from 'path'
+import ExecutionBackend from '../lib/execution-backend'
+
+describe('ExecutionBackend', () => {
+  const projectPath = path.resolve('/home/user/project')
+  const packagePath = path.resolve(__dirname, '..')
+
+  beforeEach(() => {
+    atom.config.set('latex.executionWrapper', 'docker run --rm {volumes} -w {cwd} texlive/texlive {command}')
+    atom.config.set('latex.executionPathMappings', ['{projectPath}:/workdir', '{packagePath}/resources:/opt/atom-latex'])
+  })
+
+  describe('isEnabled', () => {
+    it('is disabled when no wrapper is configured', () => {
+      atom.config.set('latex.executionWrapper', ' ')
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.isEnabled()).toBe(false)
+      expect(backend.pathMappings).toEqual([])
+    })
+
+    it('is enabled when a wrapper is configured', () => {
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.isEnabled()).toBe(true)
+    })
+  })
+
+  describe('parsePathMappings', () => {
+    it('substitutes the project and package paths', () => {
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.pathMappings).toEqual([{
+        hostPath: path.join(packagePath, 'resources'),
+        containerPath: '/opt/atom-latex'
+      }, {
+        hostPath: projectPath,
+        containerPath: '/workdir'
+      }].sort((a, b) => b.hostPath.length - a.hostPath.length))
+    })
+
+    it('ignores mappings without a container path', () => {
+      atom.config.set('latex.executionPathMappings', ['/foo', '/bar:/baz/'])
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.pathMappings).toEqual([{ hostPath: path.resolve('/bar'), containerPath: '/baz' }])
+    })
+
+    it('ignores the mappings of the project path without a project', () => {
+      const backend = new ExecutionBackend(null)
+
+      expect(backend.pathMappings).toEqual([{ hostPath: path.join(packagePath, 'resources'), containerPath: '/opt/atom-latex' }])
+    })
+  })
+
+  describe('wrapCommand', () => {
+    it('substitutes the command, working directory and volumes', () => {
+      const backend = new ExecutionBackend(projectPath)
+      const command = backend.wrapCommand(`latexmk "${path.join(projectPath, 'file.tex')}"`, projectPath)
+
+      expect(command).toContain(`-v "${projectPath}:/workdir"`)
+      expect(command).toContain('-w "/workdir"')
+      expect(command).toMatch(/texlive\/texlive latexmk "\/workdir\/file\.tex"$/)
+    })
+
+    it('passes environment variables using env', () => {
+      const backend = new ExecutionBackend(projectPath)
+      const command = backend.wrapCommand('latexmk', projectPath, { max_print_line: 1000 })
+
+      expect(command).toMatch(/texlive\/texlive env max_print_line='1000' latexmk$/)
+    })
+
+    it('quotes environment variables so that the shell does not change them', () => {
+      const backend = new ExecutionBackend(projectPath)
+      const command = backend.wrapCommand('latexmk', projectPath, { LATEXMK_PRETEX: '\\def\\x{$n$}"\'`id`' })
+
+      expect(command).toMatch(/ env LATEXMK_PRETEX='\\def\\x\{'"\$"'n'"\$"'\}"'\\''`id`' latexmk$/)
+    })
+
+    if (process.platform !== 'win32') {
+      it('passes the quoted values unchanged to the command', async () => {
+        atom.config.set('latex.executionWrapper', '{command}')
+        const value = '\\def\\x{$n$}"\'`id` $(id)'
+        const backend = new ExecutionBackend(projectPath)
+
+        const { stdout } = await latex.process.executeChildProcess(backend.wrapCommand('printenv LATEXMK_PRETEX', projectPath, { LATEXMK_PRETEX: value }))
+
+        expect(stdout).toBe(`${value}\n`)
+      })
+    }
+
+    it('appends the command if the wrapper does not contain a placeholder', () => {
+      atom.config.set('latex.executionWrapper', 'podman run -i image')
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.wrapCommand('latexmk', projectPath)).toBe('podman run -i image latexmk')
+    })
+
+    it('does not translate paths that only share a prefix with a mapped path', () => {
+      const backend = new ExecutionBackend(projectPath)
+      const filePath = `${projectPath}2${path.sep}file.tex`
+
+      expect(backend.toContainerText(`latexmk "${filePath}"`)).toBe(`latexmk "${filePath}"`)
+    })
+  })
+
+  describe('toHostPath', () => {
+    it('translates paths below a mapped container path', () => {
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.toHostPath('/workdir/sub/file.tex')).toBe(path.join(projectPath, 'sub', 'file.tex'))
+      expect(backend.toHostPath('/opt/atom-latex/latexmkrc')).toBe(path.join(packagePath, 'resources', 'latexmkrc'))
+    })
+
+    it('leaves relative and unmapped paths unchanged', () => {
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.toHostPath('file.tex')).toBe('file.tex')
+      expect(backend.toHostPath('/workdirs/file.tex')).toBe('/workdirs/file.tex')
+      expect(backend.toHostPath('/usr/share/texmf/tex/latex/base/article.cls')).toBe('/usr/share/texmf/tex/latex/base/article.cls')
+    })
+  })
+
+  describe('toContainerPath', () => {
+    it('translates paths below a mapped host path', () => {
+      const backend = new ExecutionBackend(projectPath)
+
+      expect(backend.toContainerPath(projectPath)).toBe('/workdir')
+      expect(backend.toContainerPath(path.join(projectPath, 'sub'))).toBe('/workdir/sub')
+    })
+  })
+})
@@ -0,0 +1,86 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import path from 'path'
+import Flattener from '../lib/flattener'
+import RootResolver from '../lib/root-resolver'
+
+describe('Flattener', () => {
+  let flattener, rootResolver, fixturesPath, filePath
+
+  beforeEach(() => {
+    rootResolver = new RootResolver()
+    flattener = new Flattener(rootResolver)
+    fixturesPath = path.join(atom.project.getPaths()[0], 'flatten')
+    filePath = path.join(fixturesPath, 'main.tex')
+    spyOn(latex.log, 'warning')
+  })
+
+  afterEach(() => {
+    rootResolver.dispose()
+  })
+
+  describe('flatten', () => {
+    it('inlines included files recursively', () => {
+      const text = flattener.flatten(filePath, null)
+
+      expect(text).toContain('Intro 50\\% text % intro')
+      expect(text).toContain('\\clearpage\nChapter A\nSection C\n\\clearpage')
+    })
+
+    it('leaves out files that are not listed by \\includeonly', () => {
+      const text = flattener.flatten(filePath, null)
+
+      expect(text).not.toContain('\\includeonly')
+      expect(text).not.toContain('\\include{chapters/b}')
+      expect(text).not.toContain('Chapter B')
+    })
+
+    it('only inlines the body of a subfile', () => {
+      const text = flattener.flatten(filePath, null)
+
+      expect(text).toContain('\nSub body\n')
+      expect(text).not.toContain('subfiles')
+    })
+
+    it('ignores commented includes', () => {
+      const text = flattener.flatten(filePath, null)
+
+      expect(text).toContain('%\\input{nope}')
+    })
+
+    it('reports includes that cannot be resolved', () => {
+      const text = flattener.flatten(filePath, null)
+
+      expect(text).toContain('\\input{missing}')
+      expect(latex.log.warning).toHaveBeenCalledWith('Unable to find `missing` so it was not inlined.', filePath, [[8, 0], [8, 15]])
+    })
+
+    it('does not inline a file into itself', () => {
+      const loopFilePath = path.join(fixturesPath, 'loop.tex')
+
+      expect(flattener.flatten(loopFilePath, null)).toBe('Loop\n\\input{loop}\n')
+      expect(latex.log.warning).toHaveBeenCalled()
+    })
+
+    it('inlines the bibliography if a .bbl file is given', () => {
+      const text = flattener.flatten(filePath, path.join(fixturesPath, 'main.bbl'))
+
+      expect(text).toContain('\\begin{thebibliography}{1}\n\\end{thebibliography}\n\\end{document}')
+      expect(text).not.toContain('\\bibliography{refs}')
+    })
+
+    it('keeps the bibliography if no .bbl file is given', () => {
+      expect(flattener.flatten(filePath, null)).toContain('\\bibliography{refs}')
+    })
+
+    it('reports a missing .bbl file', () => {
+      const text = flattener.flatten(filePath, path.join(fixturesPath, 'missing.bbl'))
+
+      expect(text).toContain('\\bibliography{refs}')
+      expect(latex.log.warning.mostRecentCall.args[0]).toContain('missing.bbl')
+    })
+  })
+})
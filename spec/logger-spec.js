@@ -195,6 +195,30 @@ describe('Logger', () => {
     })
   })
 
+  describe('showMessages', () => {
+    it('tags the messages with the root file path', () => {
+      initialize('info')
+      const messages = logger.showMessages([{ type: 'error', text: 'foo' }], '/foo.tex')
+
+      expect(messages).toEqual([{ type: 'error', text: 'foo', root: '/foo.tex' }])
+      expect(messagesListener).toHaveBeenCalledWith({ messages, reset: false })
+    })
+  })
+
+  describe('removeMessages', () => {
+    it('removes the messages returned by showMessages and sends reset signal', () => {
+      initialize('info')
+      const messages = logger.showMessages([{ type: 'error', text: 'foo' }])
+      logger.removeMessages(messages)
+
+      expect(messagesListener).toHaveBeenCalledWith({
+        messages: [{ type: 'info' }, { type: 'warning' }, { type: 'error' }],
+        reset: true
+      })
+      expect(logger.getMessages(false)).toEqual([{ type: 'info' }, { type: 'warning' }, { type: 'error' }])
+    })
+  })
+
   describe('clear', () => {
     it('empties message list and sends reset signal when called', () => {
       initialize('info')
@@ -203,6 +227,39 @@ describe('Logger', () => {
       expect(messagesListener).toHaveBeenCalledWith({ messages: [], reset: true })
       expect(logger.getMessages(false)).toEqual([])
     })
+
+    it('empties the output', () => {
+      initialize('info')
+      logger.appendOutput('foo')
+      logger.clear()
+
+      expect(logger.getOutput()).toBe('')
+    })
+
+    it('only removes the messages of a root file and untagged messages when given a root file', () => {
+      initialize('info')
+      logger.appendOutput('foo')
+      logger.showMessages([{ type: 'error', text: 'foo' }], '/foo.tex')
+      logger.showMessages([{ type: 'error', text: 'bar' }], '/bar.tex')
+      logger.clear('/foo.tex')
+
+      expect(logger.getMessages(false)).toEqual([{ type: 'error', text: 'bar', root: '/bar.tex' }])
+      expect(logger.getOutput()).toBe('foo')
+    })
+  })
+
+  describe('appendOutput', () => {
+    it('appends the text to the output and notifies listeners', () => {
+      const outputListener = jasmine.createSpy('onOutputListener')
+
+      initialize('info')
+      logger.onOutput(outputListener)
+      logger.appendOutput('foo\n')
+      logger.appendOutput('bar')
+
+      expect(logger.getOutput()).toBe('foo\nbar')
+      expect(outputListener).toHaveBeenCalledWith({ text: 'bar' })
+    })
   })
 
   describe('refresh', () => {
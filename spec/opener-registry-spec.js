@@ -81,4 +81,23 @@ describe('OpenerRegistry', () => {
       expect(canOpenWithSynctex.open).not.toHaveBeenCalled()
     })
   })
+
+  describe('registerOpener', () => {
+    it('adds the opener and its name to the opener setting until the registration is disposed', () => {
+      const opener = createOpener('wibble', true, false, false)
+      latex.opener.openers.delete('wibble')
+
+      const disposable = latex.opener.registerOpener('wibble', opener)
+      expect(latex.opener.openers.get('wibble')).toBe(opener)
+      expect(atom.config.getSchema('latex.opener').enum).toContain('wibble')
+
+      disposable.dispose()
+      expect(latex.opener.openers.has('wibble')).toBe(false)
+      expect(atom.config.getSchema('latex.opener').enum).not.toContain('wibble')
+    })
+
+    it('throws an error when an opener with the same name is already registered', () => {
+      expect(() => { latex.opener.registerOpener('okular', canOpen) }).toThrow()
+    })
+  })
 })
@@ -0,0 +1,85 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import fs from 'fs-plus'
+import path from 'path'
+import temp from 'temp'
+import Builder from '../lib/builder'
+import PackageInstaller from '../lib/package-installer'
+
+// Stubs of kpsewhich and tlmgr that are found via latex.texPath. The stub of
+// tlmgr records the installed package in a file next to it.
+const KPSEWHICH_STUB = '#!/bin/sh\nexit 1\n'
+const TLMGR_STUB = [
+  '#!/bin/sh',
+  'case "$1" in',
+  '  search)',
+  '    printf \'tlmgr: package repository https://example.org/tlnet (verified)\\n\'',
+  '    printf \'foo:\\n\\ttexmf-dist/tex/latex/foo/foo.sty\\n\'',
+  '    printf \'foo-extra:\\n\\ttexmf-dist/tex/latex/foo-extra/foo.sty.bak\\n\'',
+  '    ;;',
+  '  install)',
+  '    echo "$2" > "$(dirname "$0")/installed"',
+  '    ;;',
+  'esac',
+  ''
+].join('\n')
+
+describe('PackageInstaller', () => {
+  let installer, builder, binPath, options
+
+  beforeEach(() => {
+    installer = new PackageInstaller()
+    binPath = fs.realpathSync(temp.mkdirSync('latex-bin'))
+    fs.writeFileSync(path.join(binPath, 'kpsewhich'), KPSEWHICH_STUB, { mode: 0o755 })
+    fs.writeFileSync(path.join(binPath, 'tlmgr'), TLMGR_STUB, { mode: 0o755 })
+    atom.config.set('latex.texPath', `${binPath}${path.delimiter}$PATH`)
+    builder = new Builder()
+    options = builder.constructChildProcessOptions(binPath)
+  })
+
+  describe('parseSearchOutput', () => {
+    it('only returns the packages that contain a file with the same name', () => {
+      const output = 'foo:\n\ttexmf-dist/tex/latex/foo/foo.sty\nbar:\n\ttexmf-dist/tex/latex/bar/barfoo.sty\n'
+
+      expect(installer.parseSearchOutput(output, 'foo.sty')).toEqual(['foo'])
+    })
+  })
+
+  // The stubs are shell scripts.
+  if (process.platform === 'win32') return
+
+  describe('with stubs on the TeX path', () => {
+    it('does not find a file that is not installed', async () => {
+      expect(await installer.locateFile('foo.sty', builder, options)).toBeNull()
+    })
+
+    it('searches for the package that provides a file', async () => {
+      expect(await installer.searchPackages('foo.sty', builder, options)).toEqual(['foo'])
+    })
+
+    it('installs a package with tlmgr', async () => {
+      expect(await installer.install('tlmgr', 'foo', builder, options)).toBe(true)
+      expect(fs.readFileSync(path.join(binPath, 'installed'), 'utf8').trim()).toBe('foo')
+    })
+
+    it('runs the commands through the execution backend of the builder', async () => {
+      atom.config.set('latex.executionWrapper', 'docker run --rm texlive/texlive {command}')
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 0, stdout: '', stderr: '' }))
+
+      await installer.install('tlmgr', 'foo', builder, options)
+
+      expect(latex.process.executeChildProcess.mostRecentCall.args[0]).toMatch(/^docker run --rm texlive\/texlive .*tlmgr install "foo"$/)
+    })
+
+    it('reports a package manager that is not available', async () => {
+      spyOn(latex.log, 'error')
+      options.env.PATH = binPath
+
+      expect(await installer.install('mpm', 'foo', builder, options)).toBe(false)
+      expect(latex.log.error.mostRecentCall.args[0]).toContain('mpm was not found')
+    })
+  })
+})
@@ -0,0 +1,107 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import path from 'path'
+import BlgParser from '../../lib/parsers/blg-parser'
+
+describe('BlgParser', () => {
+  let fixturesPath, texFilePath, bibFilePath
+
+  beforeEach(() => {
+    fixturesPath = path.join(atom.project.getPaths()[0], 'bibliography')
+    texFilePath = path.join(fixturesPath, 'bibtex.tex')
+    bibFilePath = path.join(fixturesPath, 'refs.bib')
+  })
+
+  describe('parse', () => {
+    it('parses BibTeX errors and warnings', () => {
+      const logPath = path.join(fixturesPath, 'bibtex.blg')
+      const parser = new BlgParser(logPath, texFilePath)
+      const result = parser.parse()
+
+      expect(result.logFilePath).toBe(logPath)
+      expect(result.messages).toEqual([{
+        type: 'error',
+        text: 'I couldn\'t open database file missing.bib',
+        filePath: path.join(fixturesPath, 'bibtex.aux'),
+        range: [[3, 0], [3, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[4, 0], [5, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'error',
+        text: 'I was expecting a `,\' or a `}\'',
+        filePath: bibFilePath,
+        range: [[15, 0], [15, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[10, 0], [10, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'I didn\'t find a database entry for "wibble"',
+        logPath,
+        logRange: [[15, 0], [15, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'empty journal in knuth',
+        filePath: bibFilePath,
+        range: [[0, 0], [0, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[16, 0], [16, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'can\'t use both author and editor fields in lamport',
+        filePath: bibFilePath,
+        range: [[10, 0], [10, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[17, 0], [18, Number.MAX_SAFE_INTEGER]]
+      }])
+    })
+
+    it('parses Biber errors and warnings', () => {
+      const logPath = path.join(fixturesPath, 'biber.blg')
+      const parser = new BlgParser(logPath, texFilePath)
+      const messages = parser.parse().messages
+
+      expect(messages).toEqual([{
+        type: 'warning',
+        text: 'warning: possible runaway string started at line 15',
+        filePath: bibFilePath,
+        range: [[15, 0], [15, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[9, 0], [9, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'error',
+        text: 'syntax error: at end of input, expected one of: number, name (entry type, key, field, or macro name), end of entry ("}" or ")") or quoted string ({...} or "...")',
+        filePath: bibFilePath,
+        range: [[16, 0], [16, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[10, 0], [10, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'I didn\'t find a database entry for \'wibble\' (section 0)',
+        logPath,
+        logRange: [[11, 0], [11, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'Datamodel: Entry \'lamport\' (refs.bib): Invalid field \'publisher\' for entrytype \'book\'',
+        filePath: bibFilePath,
+        range: [[6, 0], [6, Number.MAX_SAFE_INTEGER]],
+        logPath,
+        logRange: [[12, 0], [12, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'error',
+        text: 'Cannot find \'missing.bib\'',
+        logPath,
+        logRange: [[13, 0], [13, Number.MAX_SAFE_INTEGER]]
+      }])
+    })
+
+    it('ignores the info messages of Biber', () => {
+      const parser = new BlgParser(path.join(fixturesPath, 'biber.blg'), texFilePath)
+      const messages = parser.parse().messages
+
+      expect(messages.some(message => message.type === 'info')).toBe(false)
+    })
+  })
+})
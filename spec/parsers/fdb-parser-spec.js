@@ -21,14 +21,24 @@ describe('FdbParser', () => {
       const result = parser.parse()
       const expectedResult = {
         dvips: {
+          files: {
+            'log-parse/file-pdfps.dvi': { time: 1479339798, size: 388, checksum: 'f41d63987574afa39860a8b64bdc7c18', rule: 'latex' }
+          },
           source: ['log-parse/file-pdfps.dvi'],
           generated: ['log-parse/file-pdfps.ps']
         },
         latex: {
+          files: {
+            'file-pdfps.aux': { time: 0, size: -1, checksum: '0', rule: '' },
+            'file.tex': { time: 1476733827, size: 108, checksum: 'e2f7eacca0e6c4d22260c2d4b1150d46', rule: '' }
+          },
           source: ['file-pdfps.aux', 'file.tex'],
           generated: ['log-parse/file-pdfps.aux', 'log-parse/file-pdfps.log', 'log-parse/file-pdfps.dvi']
         },
         ps2pdf: {
+          files: {
+            'log-parse/file-pdfps.ps': { time: 1479339798, size: 58953, checksum: 'def11a7aa0ae54e8f8c1eff9332043a0', rule: 'dvips' }
+          },
           source: ['log-parse/file-pdfps.ps'],
           generated: ['log-parse/file-pdfps.pdf']
         }
@@ -0,0 +1,67 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import path from 'path'
+import IndexLogParser from '../../lib/parsers/index-log-parser'
+
+describe('IndexLogParser', () => {
+  let fixturesPath, texFilePath
+
+  beforeEach(() => {
+    fixturesPath = path.join(atom.project.getPaths()[0], 'index')
+    texFilePath = path.join(fixturesPath, 'index.tex')
+  })
+
+  describe('parse', () => {
+    it('parses makeindex errors and warnings and maps them to the index command', () => {
+      const logPath = path.join(fixturesPath, 'index.ilg')
+      const parser = new IndexLogParser(logPath, texFilePath)
+      const result = parser.parse()
+
+      expect(result.logFilePath).toBe(logPath)
+      expect(result.messages).toEqual([{
+        type: 'warning',
+        text: 'Extra `@\' at position 6 of first argument.',
+        filePath: texFilePath,
+        range: [[6, 6], [6, 24]],
+        logPath,
+        logRange: [[2, 0], [3, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'Unmatched range opening operator (.',
+        filePath: texFilePath,
+        range: [[7, 7], [7, 22]],
+        logPath,
+        logRange: [[7, 0], [8, Number.MAX_SAFE_INTEGER]]
+      }])
+    })
+
+    it('reports the line of the index file if the entry cannot be found in the sources', () => {
+      const parser = new IndexLogParser(path.join(fixturesPath, 'index.ilg'), texFilePath, [])
+      const messages = parser.parse().messages
+
+      expect(messages[0].filePath).toBe(path.join(fixturesPath, 'index.idx'))
+      expect(messages[0].range).toEqual([[1, 0], [1, Number.MAX_SAFE_INTEGER]])
+    })
+
+    it('parses xindy errors and warnings', () => {
+      const logPath = path.join(fixturesPath, 'index.glg')
+      const parser = new IndexLogParser(logPath, texFilePath)
+      const result = parser.parse()
+
+      expect(result.messages).toEqual([{
+        type: 'warning',
+        text: 'location-reference "i" did not match any location-class! (ignored)',
+        logPath,
+        logRange: [[8, 0], [9, Number.MAX_SAFE_INTEGER]]
+      }, {
+        type: 'warning',
+        text: 'CHAR: index 0 should be less than the length of the string',
+        logPath,
+        logRange: [[13, 0], [13, Number.MAX_SAFE_INTEGER]]
+      }])
+    })
+  })
+})
@@ -53,11 +53,92 @@ describe('LogParser', () => {
 
       expect(error).toEqual({
         type: 'error',
-        logRange: [[196, 0], [196, 84]],
+        logRange: [[196, 0], [206, 37]],
         filePath: texFile,
         range: [[9, 0], [9, Number.MAX_SAFE_INTEGER]],
         logPath: logFile,
-        text: '\\begin{gather*} on input line 8 ended by \\end{gather}'
+        text: '\\begin{gather*} on input line 8 ended by \\end{gather}',
+        snippet: '\\end{gather}',
+        details: [
+          './errors.tex:10: LaTeX Error: \\begin{gather*} on input line 8 ended by \\end{gather}.',
+          '',
+          'See the LaTeX manual or LaTeX Companion for explanation.',
+          'Type  H <return>  for immediate help.',
+          ' ...',
+          '',
+          'l.10     \\end{gather}',
+          '',
+          'Your command was ignored.',
+          'Type  I <command> <return>  to replace it with another command,',
+          'or  <return>  to continue without it.'
+        ].join('\n')
+      })
+    })
+
+    it('keeps the name of a missing file', () => {
+      const logFile = path.join(fixturesPath, 'log-parse', 'missing-package.log')
+      const texFile = path.join(fixturesPath, 'log-parse', 'missing-package.tex')
+      const parser = new LogParser(logFile, texFile)
+      const [error, ...otherErrors] = parser.parse().messages
+
+      expect(error.type).toBe('error')
+      expect(error.text).toBe('File `foo.sty\' not found')
+      expect(error.missingFile).toBe('foo.sty')
+      expect(otherErrors.every(message => !message.missingFile)).toBe(true)
+    })
+
+    describe('when messages span multiple lines', () => {
+      let logFile, texFile, result
+
+      beforeEach(() => {
+        logFile = path.join(fixturesPath, 'log-parse', 'multi-line.log')
+        texFile = path.join(fixturesPath, 'log-parse', 'multi-line.tex')
+        const parser = new LogParser(logFile, texFile)
+        result = parser.parse()
+      })
+
+      it('takes the line number and source snippet from the context line', () => {
+        const error = result.messages.find(message => message.type === 'error')
+
+        expect(error.text).toBe('Undefined control sequence')
+        expect(error.filePath).toBe(texFile)
+        expect(error.range).toEqual([[8, 0], [8, Number.MAX_SAFE_INTEGER]])
+        expect(error.snippet).toBe('Some text \\foo(bar.')
+        expect(error.logRange).toEqual([[12, 0], [19, 45]])
+        expect(error.details.split('\n').length).toBe(8)
+      })
+
+      it('joins continuation lines of package warnings', () => {
+        const warning = result.messages.find(message => message.text.startsWith('Package hyperref'))
+
+        expect(warning.text).toBe('Package hyperref: Token not allowed in a PDF string (PDFDocEncoding): removing `\\\\\'')
+        expect(warning.range).toEqual([[6, 0], [6, Number.MAX_SAFE_INTEGER]])
+        expect(warning.logRange).toEqual([[9, 0], [10, 56]])
+      })
+
+      it('joins warnings that wrap at max_print_line', () => {
+        const warning = result.messages.find(message => message.text.startsWith('Citation'))
+
+        expect(warning.text).toBe('Citation `a-rather-long-citation-key-that-wraps\' on page 1 undefined')
+        expect(warning.range).toEqual([[11, 0], [11, Number.MAX_SAFE_INTEGER]])
+        expect(warning.filePath).toBe(texFile)
+      })
+
+      it('only joins lines that reach the given max_print_line', () => {
+        const parser = new LogParser(logFile, texFile, 1000)
+        const texts = parser.parse().messages.map(message => message.text)
+
+        expect(texts.some(text => text.startsWith('Citation'))).toBe(false)
+      })
+
+      it('only keeps details for messages that span multiple lines', () => {
+        const logFile = path.join(fixturesPath, 'file.log')
+        const texFile = path.join(fixturesPath, 'file.tex')
+        const parser = new LogParser(logFile, texFile)
+
+        const isSingleLine = message => message.logRange[0][0] === message.logRange[1][0]
+
+        expect(parser.parse().messages.every(message => !message.details === isSingleLine(message))).toBe(true)
       })
     })
   })
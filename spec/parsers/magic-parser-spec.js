@@ -59,5 +59,16 @@ describe('MagicParser', () => {
         'program': 'lualatex'
       })
     })
+
+    it('records the line of each magic comment', () => {
+      const filePath = path.join(fixturesPath, 'magic-comments', 'multiple-magic-comments.tex')
+      const parser = new MagicParser(filePath)
+      parser.parse()
+
+      expect(parser.lineNumbers).toEqual({
+        'root': 0,
+        'program': 1
+      })
+    })
   })
 })
@@ -0,0 +1,64 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import path from 'path'
+import OutputParser from '../../lib/parsers/output-parser'
+
+describe('OutputParser', () => {
+  let parser, texFilePath
+
+  beforeEach(() => {
+    texFilePath = path.join(atom.project.getPaths()[0], 'file.tex')
+    parser = new OutputParser(texFilePath)
+    // The first line is ignored just like the first line of the log file.
+    parser.append('Latexmk: Run number 1 of rule \'pdflatex\'\n')
+  })
+
+  describe('append', () => {
+    it('reports messages once they are complete', () => {
+      expect(parser.append('./file.tex:10: Undefined control sequence.\nl.10 \\fo')).toEqual([])
+      expect(parser.append('o\n          \nThe control sequence at the end of the top line\n')).toEqual([])
+
+      const messages = parser.append('of your error message was never \\def\'ed.\n\n')
+
+      expect(messages.length).toBe(1)
+      expect(messages[0].type).toBe('error')
+      expect(messages[0].text).toBe('Undefined control sequence')
+      expect(messages[0].range).toEqual([[9, 0], [9, Number.MAX_SAFE_INTEGER]])
+    })
+
+    it('reports each message only once', () => {
+      parser.append('LaTeX Warning: Reference `foo\' on page 1 undefined on input line 12.\n\n')
+
+      expect(parser.append('foo\n')).toEqual([])
+    })
+
+    it('reports messages whose lines are split across chunks', () => {
+      expect(parser.append('LaTeX Warning: Reference `foo\' on page 1 undefined on ')).toEqual([])
+      expect(parser.append('input line 12.\r')).toEqual([])
+
+      const messages = parser.append('\n\n')
+
+      expect(messages.length).toBe(1)
+      expect(messages[0].text).toBe('Reference `foo\' on page 1 undefined')
+    })
+
+    it('only keeps the lines of incomplete messages', () => {
+      parser.append('foo\nbar\nLaTeX Warning: Reference `foo\' on page 1 undefined on input line 12.\n')
+
+      expect(parser.lines).toEqual(['LaTeX Warning: Reference `foo\' on page 1 undefined on input line 12.'])
+      expect(parser.append('\n').length).toBe(1)
+      expect(parser.lines).toEqual([''])
+    })
+
+    it('does not report log file locations', () => {
+      const messages = parser.append('LaTeX Warning: Reference `foo\' on page 1 undefined on input line 12.\n\n')
+
+      expect(messages.length).toBe(1)
+      expect(messages[0].logPath).toBeUndefined()
+      expect(messages[0].logRange).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,50 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import path from 'path'
+import PreambleParser from '../../lib/parsers/preamble-parser'
+
+describe('PreambleParser', () => {
+  let fixturesPath
+
+  beforeEach(() => {
+    fixturesPath = path.join(atom.project.getPaths()[0], 'engine')
+  })
+
+  describe('parse', () => {
+    it('finds the class and the packages with the range of their command', () => {
+      const result = new PreambleParser(path.join(fixturesPath, 'fontspec.tex')).parse()
+
+      expect(result.documentClass).toEqual({ name: 'article', range: [[0, 0], [0, 23]] })
+      expect(result.packages).toEqual([
+        { name: 'fontenc', range: [[1, 0], [1, 24]] },
+        { name: 'amsmath', range: [[2, 0], [2, 34]] },
+        { name: 'unicode-math', range: [[2, 0], [2, 34]] },
+        { name: 'fontspec', range: [[3, 0], [3, 21]] }
+      ])
+    })
+
+    it('finds commands that span several lines', () => {
+      const result = new PreambleParser(path.join(fixturesPath, 'multi-line.tex')).parse()
+
+      expect(result.documentClass).toEqual({ name: 'jsarticle', range: [[0, 0], [3, 12]] })
+      expect(result.packages).toEqual([
+        { name: 'graphicx', range: [[4, 0], [5, 12]] }
+      ])
+    })
+
+    it('ignores comments and the document body', () => {
+      const result = new PreambleParser(path.join(fixturesPath, 'plain.tex')).parse()
+
+      expect(result.packages.map(({ name }) => name)).toEqual(['graphicx'])
+    })
+
+    it('returns nothing for a missing file', () => {
+      const result = new PreambleParser(path.join(fixturesPath, 'missing.tex')).parse()
+
+      expect(result).toEqual({ documentClass: null, packages: [] })
+    })
+  })
+})
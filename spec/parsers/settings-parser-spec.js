@@ -0,0 +1,129 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import path from 'path'
+import SettingsParser from '../../lib/parsers/settings-parser'
+
+describe('SettingsParser', () => {
+  let fixturesPath
+
+  beforeEach(() => {
+    fixturesPath = atom.project.getPaths()[0]
+  })
+
+  describe('parse', () => {
+    it('returns all settings of a valid settings file', () => {
+      const filePath = path.join(fixturesPath, 'magic-comments', 'override-settings.yaml')
+      const { properties, messages } = new SettingsParser(filePath).parse()
+
+      expect(messages).toEqual([])
+      expect(properties).toEqual({
+        engine: 'xelatex',
+        format: 'dvi',
+        jobNames: ['wibble', 'quux'],
+        producer: 'ps2pdf',
+        outputDirectory: 'foo',
+        cleanPatterns: ['**/*.snafu', 'foo/bar/bax'],
+        enableShellEscape: 'yes',
+        enableSynctex: true,
+        enableExtendedBuildMode: 'YES',
+        moveResultToSourceDirectory: 'Yes'
+      })
+    })
+
+    it('drops invalid settings and reports them at the line of the setting', () => {
+      const filePath = path.join(fixturesPath, 'settings', 'invalid-values.yaml')
+      const { properties, messages } = new SettingsParser(filePath).parse()
+
+      expect(properties).toEqual({ engine: 'lualatex', producer: 'xdvipdfmx' })
+      expect(messages.map(message => [message.type, message.range[0][0]])).toEqual([
+        ['error', 1],
+        ['warning', 2],
+        ['error', 3],
+        ['error', 4],
+        ['warning', 7]
+      ])
+      expect(messages.every(message => message.filePath === filePath)).toBe(true)
+    })
+
+    it('validates values against the package config schema', () => {
+      const filePath = path.join(fixturesPath, 'settings', 'invalid-values.yaml')
+      const { messages } = new SettingsParser(filePath).parse()
+
+      expect(messages[0].text).toBe('Invalid value for setting `enableSynctex`: expected a boolean but found string "maybe".')
+      expect(messages[1].text).toBe('Setting `opener` cannot be overridden in settings files and will be ignored.')
+      expect(messages[2].text).toBe('Invalid value for setting `outputFormat`: expected one of pdf, dvi, ps but found docx.')
+      expect(messages[3].text).toBe('Invalid value for setting `jobNames`: expected a string but found number 1.')
+      expect(messages[4].text).toBe('Setting `wibble` is unknown and will be ignored.')
+    })
+
+    it('validates each job against the job settings', () => {
+      const { properties, messages } = new SettingsParser(path.join(fixturesPath, 'settings', 'jobs.yaml')).parse()
+
+      expect(messages).toEqual([])
+      expect(properties.jobs.map(job => job.name)).toEqual(['print', 'screen'])
+
+      const result = new SettingsParser(path.join(fixturesPath, 'settings', 'invalid-jobs.yaml')).parse()
+
+      expect(result.properties).toEqual({ engine: 'xelatex' })
+      expect(result.messages.length).toBe(1)
+      expect(result.messages[0].text).toBe('Invalid value for setting `jobs`: unknown key `paper`.')
+      expect(result.messages[0].range[0][0]).toBe(1)
+    })
+
+    it('accepts job names and a single job without a list', () => {
+      const parser = new SettingsParser()
+
+      expect(parser.validate('jobs', [{ name: 'print', engine: 'lualatex' }, 'screen'])).toBeUndefined()
+      expect(parser.validate('jobs', { name: 'print', engine: 'lualatex' })).toBeUndefined()
+      expect(parser.validate('jobs', { engine: 'lualatex' }).text).toBe('Invalid value for setting `jobs`: missing `name`.')
+    })
+
+    it('only accepts comma separated strings for list settings that support them', () => {
+      const parser = new SettingsParser()
+
+      expect(parser.validate('cleanPatterns', '**/*.aux, **/*.log')).toBeUndefined()
+      expect(parser.validate('jobNames', 'print, screen')).toBeUndefined()
+      expect(parser.validate('jobs', 'print, screen')).toBeUndefined()
+      expect(parser.validate('profiles', 'foo').text).toBe('Invalid value for setting `profiles`: expected a list but found string "foo".')
+    })
+
+    it('validates each environment variable and only drops the invalid ones', () => {
+      const { properties, messages } = new SettingsParser(path.join(fixturesPath, 'settings', 'environment.yaml')).parse()
+
+      expect(properties).toEqual({
+        environment: {
+          TEXINPUTS: ['styles', '../shared/styles'],
+          BIBINPUTS: './bib:$BIBINPUTS',
+          max_print_line: 2000
+        }
+      })
+      expect(messages.length).toBe(1)
+      expect(messages[0].text).toBe('Invalid value for variable `openout_any` of setting `environment`: expected a list but found a mapping.')
+      expect(messages[0].range[0][0]).toBe(6)
+    })
+
+    it('reports settings that are not on a line of their own for the whole file', () => {
+      const filePath = path.join(fixturesPath, 'settings', 'flow-mapping.yaml')
+      const { properties, messages, lineNumbers } = new SettingsParser(filePath).parse()
+
+      expect(properties).toEqual({ engine: 'lualatex' })
+      expect(lineNumbers).toEqual({})
+      expect(messages.length).toBe(1)
+      expect(messages[0].range).toBeUndefined()
+    })
+
+    it('reports syntax errors at the line where parsing failed', () => {
+      const filePath = path.join(fixturesPath, 'settings', 'syntax-error.yaml')
+      const { properties, messages } = new SettingsParser(filePath).parse()
+
+      expect(properties).toEqual({})
+      expect(messages.length).toBe(1)
+      expect(messages[0].type).toBe('error')
+      expect(messages[0].text).toMatch(/^Parsing of settings file failed: /)
+      expect(messages[0].range[0][0]).toBe(2)
+    })
+  })
+})
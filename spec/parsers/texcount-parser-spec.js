@@ -0,0 +1,60 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from '../async-spec-helpers'
+
+import fs from 'fs-plus'
+import path from 'path'
+import TexcountParser from '../../lib/parsers/texcount-parser'
+
+describe('TexcountParser', () => {
+  let fixturesPath, texFilePath
+
+  beforeEach(() => {
+    fixturesPath = path.join(atom.project.getPaths()[0], 'texcount')
+    texFilePath = path.join(fixturesPath, 'main.tex')
+  })
+
+  describe('parse', () => {
+    it('parses the counts of each file and section', () => {
+      const output = fs.readFileSync(path.join(fixturesPath, 'output.txt'), { encoding: 'utf-8' })
+      const result = new TexcountParser(output, texFilePath).parse()
+
+      expect(result.total).toEqual({ text: 145, headers: 7, captions: 12 })
+      expect(result.messages).toEqual([])
+      expect(result.files).toEqual([{
+        filePath: texFilePath,
+        text: 25,
+        headers: 3,
+        captions: 0,
+        sections: [
+          { type: null, title: '_top_', text: 5, headers: 0, captions: 0 },
+          { type: 'Section', title: 'Introduction', text: 20, headers: 3, captions: 0 }
+        ]
+      }, {
+        filePath: path.join(fixturesPath, 'chapters', 'methods.tex'),
+        text: 120,
+        headers: 4,
+        captions: 12,
+        sections: [
+          { type: 'Section', title: 'Methods', text: 80, headers: 1, captions: 12 },
+          { type: 'Section', title: 'Data Collection', text: 40, headers: 3, captions: 0 }
+        ]
+      }])
+    })
+
+    it('uses the counts of the root file as the total if there is only one file', () => {
+      const output = 'File: main.tex\nWords in text: 10\nWords in headers: 2\nWords outside text (captions, etc.): 1\n'
+      const result = new TexcountParser(output, texFilePath).parse()
+
+      expect(result.total).toEqual({ text: 10, headers: 2, captions: 1 })
+    })
+
+    it('reports errors of texcount as warnings', () => {
+      const output = '!!! File not found: missing.tex !!!\nFile: main.tex\nWords in text: 10\n'
+      const result = new TexcountParser(output, texFilePath).parse()
+
+      expect(result.messages).toEqual([{ type: 'warning', text: 'texcount: File not found: missing.tex' }])
+    })
+  })
+})
@@ -45,4 +45,59 @@ describe('ProcessManager', () => {
       processManager.killChildProcesses()
     })
   })
+  it('only kills the processes of the given process group', () => {
+    let fooKilled = false
+    let barKilled = false
+
+    processManager.executeChildProcess(constructCommand('foo.tex'), { allowKill: true, processGroup: 'foo' }).then(result => { fooKilled = true })
+    processManager.executeChildProcess(constructCommand('bar.tex'), { allowKill: true, processGroup: 'bar' }).then(result => { barKilled = true })
+    processManager.killChildProcesses('foo')
+
+    waitsFor(() => fooKilled, 5000)
+
+    runs(() => {
+      expect(barKilled).toBe(false)
+      processManager.killChildProcesses()
+    })
+  })
+
+  it('streams the output of a process when an output callback is given', async () => {
+    const onOutput = jasmine.createSpy('onOutput')
+    const outputListener = jasmine.createSpy('outputListener')
+    processManager.onDidOutput(outputListener)
+
+    const result = await processManager.executeChildProcess('echo foo', { onOutput })
+
+    expect(result.statusCode).toBe(0)
+    expect(result.stdout.trim()).toBe('foo')
+    expect(onOutput).toHaveBeenCalledWith('stdout', result.stdout)
+    expect(outputListener.mostRecentCall.args[0].type).toBe('stdout')
+  })
+
+  it('reports the status code of a streamed process', async () => {
+    const result = await processManager.executeChildProcess('exit 3', { stream: true })
+
+    expect(result.statusCode).toBe(3)
+  })
+
+  it('kills a process that does not finish before the timeout', async () => {
+    const result = await processManager.executeChildProcess('sleep 10', { timeout: 100 })
+
+    expect(result.killedBy).toBe('timeout')
+    expect(result.statusCode).not.toBe(0)
+  })
+
+  it('kills a process that does not produce output before the idle timeout', async () => {
+    const result = await processManager.executeChildProcess('echo foo && sleep 10', { idleTimeout: 500, onOutput: () => {} })
+
+    expect(result.killedBy).toBe('idle')
+    expect(result.stdout.trim()).toBe('foo')
+  })
+
+  it('does not kill a process that finishes in time', async () => {
+    const result = await processManager.executeChildProcess('echo foo', { timeout: 5000, idleTimeout: 5000 })
+
+    expect(result.killedBy).toBe(null)
+    expect(result.statusCode).toBe(0)
+  })
 })
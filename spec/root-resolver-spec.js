@@ -0,0 +1,113 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import glob from 'glob'
+import path from 'path'
+import RootResolver from '../lib/root-resolver'
+
+describe('RootResolver', () => {
+  let resolver, fixturesPath
+
+  beforeEach(() => {
+    resolver = new RootResolver()
+    fixturesPath = path.join(atom.project.getPaths()[0], 'master-tex-finder')
+  })
+
+  describe('resolve', () => {
+    it('returns the file itself if it is a root file', () => {
+      const filePath = path.join(fixturesPath, 'single-master', 'master.tex')
+
+      expect(resolver.resolve(filePath)).toBe(filePath)
+    })
+
+    it('returns the root file that includes the file', () => {
+      const rootFilePath = path.join(fixturesPath, 'single-master', 'master.tex')
+
+      expect(resolver.resolve(path.join(fixturesPath, 'single-master', 'inc2.tex'))).toBe(rootFilePath)
+    })
+
+    it('only considers the root files that include the file', () => {
+      const rootFilePath = path.join(fixturesPath, 'multiple-masters', 'master2.tex')
+
+      expect(resolver.resolve(path.join(fixturesPath, 'multiple-masters', 'inc2.tex'))).toBe(rootFilePath)
+    })
+
+    it('ignores root files that do not include the file', () => {
+      spyOn(atom, 'confirm')
+
+      resolver.resolve(path.join(fixturesPath, 'multiple-masters', 'inc1.tex'))
+
+      expect(atom.confirm).not.toHaveBeenCalled()
+    })
+
+    it('returns the file itself if no root file includes it', () => {
+      const filePath = path.join(fixturesPath, 'orphan.tex')
+
+      expect(resolver.resolve(filePath)).toBe(filePath)
+    })
+
+    it('asks the user to choose if more than one root file includes the file', () => {
+      spyOn(atom, 'confirm').andReturn(1)
+      const filePath = path.join(fixturesPath, 'multiple-masters', 'common.tex')
+
+      const rootFilePath = resolver.resolve(filePath)
+
+      expect(atom.confirm).toHaveBeenCalled()
+      expect(atom.confirm.mostRecentCall.args[0].buttons.length).toBe(2)
+      expect(path.dirname(rootFilePath)).toBe(path.join(fixturesPath, 'multiple-masters'))
+      expect(rootFilePath).toBe(path.resolve(atom.project.getPaths()[0], atom.confirm.mostRecentCall.args[0].buttons[1]))
+    })
+  })
+
+  describe('caching', () => {
+    let filePath, handleFileChanges
+
+    beforeEach(() => {
+      filePath = path.join(fixturesPath, 'single-master', 'inc2.tex')
+      spyOn(atom.project, 'onDidChangeFiles').andCallFake(callback => {
+        handleFileChanges = callback
+        return { dispose () {} }
+      })
+      spyOn(glob, 'sync').andCallThrough()
+      spyOn(resolver, 'readFile').andCallThrough()
+    })
+
+    it('only scans a project once', () => {
+      resolver.resolve(filePath)
+      resolver.resolve(filePath)
+
+      expect(glob.sync.callCount).toBe(1)
+    })
+
+    it('reads a modified file again but keeps the files of the project', () => {
+      resolver.resolve(filePath)
+      const readCount = resolver.readFile.callCount
+
+      handleFileChanges([{ action: 'modified', path: filePath }])
+      resolver.resolve(filePath)
+
+      expect(glob.sync.callCount).toBe(1)
+      expect(resolver.readFile.callCount).toBe(readCount + 1)
+    })
+
+    it('scans a project again after a file was created', () => {
+      resolver.resolve(filePath)
+
+      handleFileChanges([{ action: 'created', path: path.join(fixturesPath, 'new.tex') }])
+      resolver.resolve(filePath)
+
+      expect(glob.sync.callCount).toBe(2)
+    })
+  })
+
+  describe('getIncludedFiles', () => {
+    it('ignores commented includes', () => {
+      const includedFiles = resolver.getIncludedFiles(path.join(fixturesPath, 'single-master', 'master.tex'))
+
+      expect(Array.from(includedFiles).map(filePath => path.basename(filePath)).sort())
+        .toEqual(['inc1.tex', 'inc2.tex', 'inc3.tex'])
+    })
+  })
+})
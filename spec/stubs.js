@@ -6,7 +6,8 @@ import Opener from '../lib/opener'
 
 export class NullBuilder extends Builder {
   static extension = '.tex'
-  static canProcess (filePath) { return filePath.endsWith(NullBuilder.extension) }
+  static priority = 0
+  static canProcess (state) { return state.getFilePath().endsWith(NullBuilder.extension) }
 }
 
 export class NullLogger extends Logger {
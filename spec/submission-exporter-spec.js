@@ -0,0 +1,130 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+import { cloneFixtures } from './spec-helpers'
+
+import fs from 'fs-plus'
+import path from 'path'
+import zlib from 'zlib'
+import Builder from '../lib/builder'
+import BuildState from '../lib/build-state'
+import LatexmkBuilder from '../lib/builders/latexmk'
+import SubmissionExporter from '../lib/submission-exporter'
+
+describe('SubmissionExporter', () => {
+  let exporter, builder, fixturesPath, filePath, state, jobState
+
+  beforeEach(() => {
+    exporter = new SubmissionExporter()
+    builder = new Builder()
+    fixturesPath = cloneFixtures()
+    filePath = path.join(fixturesPath, 'file.tex')
+    state = new BuildState(filePath)
+    state.setOutputDirectory('build')
+    jobState = state.getJobStates()[0]
+
+    fs.makeTreeSync(path.join(fixturesPath, 'build'))
+    fs.writeFileSync(path.join(fixturesPath, 'figure.pdf'), '')
+    fs.writeFileSync(path.join(fixturesPath, 'build', 'file.bbl'), '')
+    fs.writeFileSync(path.join(fixturesPath, 'build', 'file.aux'), '')
+    jobState.setFileDatabase({
+      pdflatex: {
+        source: [
+          'file.tex',
+          'figure.pdf',
+          'build/file.aux',
+          'build/file.bbl',
+          '/usr/local/texlive/2017/texmf-dist/tex/latex/base/article.cls',
+          path.join(path.dirname(fixturesPath), 'shared.sty')
+        ],
+        generated: ['build/file.aux', 'build/file.log', 'build/file.pdf']
+      },
+      bibtex: {
+        source: ['build/file.aux'],
+        generated: ['build/file.bbl', 'build/file.blg']
+      }
+    })
+  })
+
+  describe('collectFiles', () => {
+    it('collects the inputs of the document and its bibliography', () => {
+      const files = exporter.collectFiles(builder, jobState)
+
+      expect(files.map(file => file.name).sort()).toEqual(['figure.pdf', 'file.bbl', 'file.tex'])
+      expect(files.find(file => file.name === 'file.bbl').filePath).toBe(path.join(fixturesPath, 'build', 'file.bbl'))
+    })
+
+    it('renames the bibliography of a job after the root file', () => {
+      state.setJobNames(['print'])
+      jobState = state.getJobStates()[0]
+      jobState.setFileDatabase({ pdflatex: { source: ['file.tex', 'build/print.bbl'], generated: [] } })
+      fs.writeFileSync(path.join(fixturesPath, 'build', 'print.bbl'), '')
+
+      const files = exporter.collectFiles(builder, jobState)
+
+      expect(files.map(file => file.name).sort()).toEqual(['file.bbl', 'file.tex'])
+    })
+
+    it('warns about inputs outside of the directory of the root file', () => {
+      spyOn(fs, 'isFileSync').andReturn(true)
+      spyOn(latex.log, 'warning')
+
+      exporter.collectFiles(builder, jobState)
+
+      expect(latex.log.warning).toHaveBeenCalled()
+      expect(latex.log.warning.calls.length).toBe(1)
+      expect(latex.log.warning.mostRecentCall.args[0]).toContain('shared.sty')
+    })
+  })
+
+  describe('stripComments', () => {
+    it('removes comments but keeps escaped percent signs and verbatim text', () => {
+      const text = [
+        '% A comment line',
+        'Done 50\\% of it. % A comment',
+        '\\verb|%| is a percent sign.',
+        '\\begin{verbatim}',
+        '% Verbatim text',
+        '\\end{verbatim}'
+      ].join('\n')
+
+      expect(exporter.stripComments(text)).toBe([
+        'Done 50\\% of it. %',
+        '\\verb|%| is a percent sign.',
+        '\\begin{verbatim}',
+        '% Verbatim text',
+        '\\end{verbatim}'
+      ].join('\n'))
+    })
+  })
+
+  describe('export', () => {
+    it('writes an archive with a manifest', async () => {
+      atom.config.set('latex.submissionArchiveFormat', 'tar.gz')
+      atom.config.set('latex.testCompileSubmission', false)
+
+      const archivePath = await exporter.export(builder, jobState)
+      const tar = zlib.gunzipSync(fs.readFileSync(archivePath)).toString('latin1')
+
+      expect(archivePath).toBe(path.join(fixturesPath, 'file-submission.tar.gz'))
+      expect(tar).toContain('figure.pdf')
+      expect(tar).toMatch(/[0-9a-f]{64} {2}file\.tex\n/)
+    })
+
+    it('test compiles the archive with latexmk', async () => {
+      atom.config.set('latex.testCompileSubmission', true)
+      spyOn(LatexmkBuilder.prototype, 'run').andCallFake(function (testJobState) {
+        expect(fs.existsSync(path.join(path.dirname(testJobState.getFilePath()), 'figure.pdf'))).toBe(true)
+        return Promise.resolve(0)
+      })
+      spyOn(LatexmkBuilder.prototype, 'parseLogFile')
+      spyOn(latex.log, 'info')
+
+      await exporter.export(builder, jobState)
+
+      expect(LatexmkBuilder.prototype.run).toHaveBeenCalled()
+      expect(latex.log.info).toHaveBeenCalledWith('Test compile of the submission succeeded.')
+    })
+  })
+})
@@ -0,0 +1,79 @@
+/** @babel */
+
+// eslint-disable-next-line no-unused-vars
+import { afterEach, beforeEach, it, fit } from './async-spec-helpers'
+
+import fs from 'fs-plus'
+import path from 'path'
+import Builder from '../lib/builder'
+import BuildState from '../lib/build-state'
+import WordCounter from '../lib/word-counter'
+
+describe('WordCounter', () => {
+  let counter, builder, fixturesPath, filePath, jobState
+
+  beforeEach(() => {
+    counter = new WordCounter()
+    builder = new Builder()
+    fixturesPath = path.join(atom.project.getPaths()[0], 'texcount')
+    filePath = path.join(fixturesPath, 'main.tex')
+    jobState = new BuildState(filePath).getJobStates()[0]
+    spyOn(latex.status, 'showWordCount')
+  })
+
+  afterEach(() => {
+    counter.dispose()
+  })
+
+  describe('count', () => {
+    it('runs texcount on the root file and its included files', async () => {
+      const stdout = fs.readFileSync(path.join(fixturesPath, 'output.txt'), { encoding: 'utf-8' })
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 0, stdout, stderr: '' }))
+      const callback = jasmine.createSpy('callback')
+      counter.onDidCount(callback)
+
+      const count = await counter.count(builder, jobState)
+
+      const [command, options] = latex.process.executeChildProcess.mostRecentCall.args
+      expect(command).toBe('texcount -inc -sub=section -nocol -utf8 "main.tex"')
+      expect(options.cwd).toBe(fixturesPath)
+      expect(count.total).toEqual({ text: 145, headers: 7, captions: 12 })
+      expect(count.files.length).toBe(2)
+      expect(counter.hasCount(filePath)).toBe(true)
+      expect(counter.getLastCount()).toBe(count)
+      expect(callback).toHaveBeenCalledWith(count)
+      expect(latex.status.showWordCount).toHaveBeenCalledWith(164)
+    })
+
+    it('runs texcount in its own process group', async () => {
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 127, stdout: '', stderr: '' }))
+
+      await counter.count(builder, jobState)
+
+      const [, options] = latex.process.executeChildProcess.mostRecentCall.args
+      expect(options.processGroup).not.toBe(filePath)
+    })
+
+    it('runs texcount through the execution backend', async () => {
+      atom.config.set('latex.executionWrapper', 'docker run --rm {volumes} -w {cwd} texlive/texlive {command}')
+      atom.config.set('latex.executionPathMappings', [`${fixturesPath}:/workdir`])
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 127, stdout: '', stderr: '' }))
+
+      await counter.count(builder, jobState)
+
+      const [command] = latex.process.executeChildProcess.mostRecentCall.args
+      expect(command).toBe(`docker run --rm -v "${fixturesPath}:/workdir" -w "/workdir" texlive/texlive texcount -inc -sub=section -nocol -utf8 "main.tex"`)
+    })
+
+    it('reports a missing texcount', async () => {
+      spyOn(latex.process, 'executeChildProcess').andReturn(Promise.resolve({ statusCode: 127, stdout: '', stderr: '' }))
+      spyOn(latex.log, 'showMessages')
+
+      const count = await counter.count(builder, jobState)
+
+      expect(count).toBeNull()
+      expect(counter.hasCount(filePath)).toBe(false)
+      expect(latex.log.showMessages.mostRecentCall.args[0][0].text).toContain('texcount was not found')
+    })
+  })
+})